@@ -0,0 +1,81 @@
+import '../server/config/loadEnv.js';
+import fs from 'fs';
+import path from 'path';
+import { envGuestSheetId, envResponseSheetId } from '../server/config/loadEnv.js';
+import { configureStorage } from '../server/services/storage.js';
+import { buildRSVPReport, REPORT_FILES, renderReportFile } from '../server/services/reports.js';
+
+/**
+ * Usage: npm run export:reports -- [options]
+ *
+ *   --out <dir>       where to write the files (default: exports/)
+ *   --only <names>    comma-separated subset of responses.csv, responses.xlsx, senders.csv, catering.pdf
+ *   --event <id>      event from server/config/event.json (default: the first one)
+ *   --json            print the totals and per-sender counts as JSON instead of writing files
+ *
+ * Files are named rsvp-<event>-<report>-<YYYY-MM-DD>.<ext>; a second run on the same day overwrites them.
+ */
+
+function parseArgs(argv) {
+  const args = { out: 'exports', only: Object.keys(REPORT_FILES), event: undefined, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') {
+      args.out = argv[++i] || args.out;
+    } else if (arg === '--only') {
+      args.only = (argv[++i] || '').split(',').map((name) => name.trim()).filter(Boolean);
+    } else if (arg === '--event') {
+      args.event = argv[++i];
+    } else if (arg === '--json') {
+      args.json = true;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  const unknown = args.only.filter((name) => !REPORT_FILES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown report(s): ${unknown.join(', ')} (expected ${Object.keys(REPORT_FILES).join(', ')})`);
+  }
+  return args;
+}
+
+async function runExport() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const responseSheetId = envResponseSheetId();
+
+    if (!responseSheetId) {
+      console.error('Error: GOOGLE_RESPONSE_SHEET_ID is not set');
+      process.exit(1);
+    }
+
+    await configureStorage();
+    const report = await buildRSVPReport(responseSheetId, envGuestSheetId(), args.event);
+
+    if (args.json) {
+      console.log(JSON.stringify({ generatedAt: report.generatedAt, eventId: report.eventId, totals: report.totals, dietary: report.dietary, bySender: report.bySender }, null, 2));
+      process.exit(0);
+    }
+
+    fs.mkdirSync(args.out, { recursive: true });
+    for (const name of args.only) {
+      const [base, ext] = name.split('.');
+      const file = path.join(args.out, `rsvp-${report.eventId}-${base}-${report.generatedAt.slice(0, 10)}.${ext}`);
+      fs.writeFileSync(file, await renderReportFile(name, report));
+      console.log(`  ${file}`);
+    }
+
+    const { answered, attending, declined, adults, babies, vegan, noAnswer } = report.totals;
+    console.log(
+      `\n${answered} answer(s): ${attending} coming, ${declined} not coming` +
+        (noAnswer === null ? '' : `, ${noAnswer} on the list without an answer`),
+    );
+    console.log(`Adults ${adults}, babies (0-2) ${babies}, vegan/vegetarian ${vegan}`);
+    process.exit(0);
+  } catch (error) {
+    console.error(error.status ? `Error: ${error.message}` : error);
+    process.exit(1);
+  }
+}
+
+runExport();
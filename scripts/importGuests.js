@@ -0,0 +1,98 @@
+import '../server/config/loadEnv.js';
+import fs from 'fs';
+import path from 'path';
+import { envGuestSheetId } from '../server/config/loadEnv.js';
+import { configureStorage } from '../server/services/storage.js';
+import { importGuests } from '../server/services/guestImport.js';
+
+/**
+ * Usage: npm run import:guests -- <file.csv|file.xlsx|file.vcf> --sender <name> [options]
+ *
+ *   --sender <name>   written to the sender column of every new guest (required)
+ *   --send            mark new guests to send ("v" in the send column)
+ *   --dry-run         show what would be added without writing
+ *   --map <json>      file columns by header or letter, e.g. '{"phone":"Mobile","firstName":"B"}'
+ *   --json            print the full result as JSON
+ *
+ * Phones already on the guest list (or repeated in the file) are skipped as duplicates.
+ */
+
+function parseArgs(argv) {
+  const args = { file: null, sender: '', markToSend: false, dryRun: false, columns: undefined, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--sender') {
+      args.sender = argv[++i] || '';
+    } else if (arg === '--send') {
+      args.markToSend = true;
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--json') {
+      args.json = true;
+    } else if (arg === '--map') {
+      args.columns = JSON.parse(argv[++i] || '{}');
+    } else if (!args.file) {
+      args.file = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+  return args;
+}
+
+async function runImport() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const guestSheetId = envGuestSheetId();
+
+    if (!guestSheetId) {
+      console.error('Error: GOOGLE_GUEST_SHEET_ID is not set');
+      process.exit(1);
+    }
+    if (!args.file || !args.sender) {
+      console.error('Usage: npm run import:guests -- <file> --sender <name> [--send] [--dry-run] [--map <json>] [--json]');
+      process.exit(1);
+    }
+
+    await configureStorage();
+    const result = await importGuests(guestSheetId, fs.readFileSync(args.file), {
+      filename: path.basename(args.file),
+      sender: args.sender,
+      markToSend: args.markToSend,
+      dryRun: args.dryRun,
+      columns: args.columns,
+    });
+
+    if (args.json) {
+      console.log(JSON.stringify(result, null, 2));
+      process.exit(0);
+    }
+
+    console.log(`\n${result.summary.records} record(s) read from ${args.file} (${result.format})`);
+    if (result.toAdd.length) {
+      console.log(`\n${result.dryRun ? 'Would add' : 'Added'}:`);
+      result.toAdd.forEach((g) => console.log(`  ${g.source}  ${[g.firstName, g.familyName].filter(Boolean).join(' ')}  ${g.phone}`));
+    }
+    if (result.duplicates.length) {
+      console.log('\nDuplicates (skipped):');
+      result.duplicates.forEach((d) => console.log(`  ${d.source}  ${d.name}  ${d.phone}  — already ${d.existing}`));
+    }
+    if (result.invalid.length) {
+      console.log('\nInvalid (skipped):');
+      result.invalid.forEach((r) => console.log(`  ${r.source}  ${r.name || '(no name)'}  ${r.phone}  — ${r.reason}`));
+    }
+
+    const { new: fresh, duplicates, invalid, appended } = result.summary;
+    console.log(
+      result.dryRun
+        ? `\nDry run: ${fresh} new, ${duplicates} duplicate(s), ${invalid} invalid. Nothing was written.`
+        : `\n${appended} guest(s) added for ${args.sender}; ${duplicates} duplicate(s), ${invalid} invalid.`,
+    );
+    process.exit(0);
+  } catch (error) {
+    console.error(error.status === 400 ? `Error: ${error.message}` : error);
+    process.exit(1);
+  }
+}
+
+runImport();
@@ -1,7 +1,9 @@
 import '../server/config/loadEnv.js';
 import readline from 'readline';
+import { getEvents } from '../server/config/event.js';
 import { envGuestSheetId } from '../server/config/loadEnv.js';
-import { configureSheets, getGuestList, getSenders, filterGuestsBySender } from '../server/services/googleSheets.js';
+import { filterGuestsBySender } from '../server/services/guestRows.js';
+import { configureStorage, getGuestList, getSenders } from '../server/services/storage.js';
 import {
   initializeWhatsApp,
   waitForReady,
@@ -13,28 +15,33 @@ import {
  *
  * Requires Google env vars.
  * WhatsApp: Baileys (personal). First run: scan QR in admin or run init once.
+ * With several events in server/config/event.json, asks which invitation to send first.
  */
 
-function askForSender(senders) {
+/**
+ * @param {string} label "sender" / "event"
+ * @param {string[]} choices
+ */
+function askForChoice(label, choices) {
   return new Promise((resolve) => {
     const rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout,
     });
 
-    console.log('\nAvailable senders:');
-    senders.forEach((sender, index) => {
-      console.log(`  ${index + 1}. ${sender}`);
+    console.log(`\nAvailable ${label}s:`);
+    choices.forEach((choice, index) => {
+      console.log(`  ${index + 1}. ${choice}`);
     });
 
-    rl.question('\nSelect a sender number (or enter sender name): ', (answer) => {
+    rl.question(`\nSelect a ${label} number (or enter ${label} name): `, (answer) => {
       rl.close();
 
       const index = parseInt(answer, 10) - 1;
-      if (index >= 0 && index < senders.length) {
-        resolve(senders[index]);
+      if (index >= 0 && index < choices.length) {
+        resolve(choices[index]);
       } else {
-        const found = senders.find((s) => s.trim() === answer.trim());
+        const found = choices.find((s) => s.trim() === answer.trim());
         if (found) {
           resolve(found);
         } else {
@@ -55,7 +62,7 @@ async function sendInvitations() {
       process.exit(1);
     }
 
-    await configureSheets();
+    await configureStorage();
     const allGuests = await getGuestList(guestSheetId);
 
     if (allGuests.length === 0) {
@@ -69,12 +76,14 @@ async function sendInvitations() {
       process.exit(1);
     }
 
-    const selectedSender = await askForSender(senders);
-    console.log(`\nSender: ${selectedSender}`);
+    const eventIds = getEvents().map((event) => event.id);
+    const eventId = eventIds.length > 1 ? await askForChoice('event', eventIds) : eventIds[0];
+    const selectedSender = await askForChoice('sender', senders);
+    console.log(`\nEvent: ${eventId}, sender: ${selectedSender}`);
 
-    const filteredGuests = filterGuestsBySender(allGuests, selectedSender);
+    const filteredGuests = filterGuestsBySender(allGuests, selectedSender).filter((guest) => guest.events.includes(eventId));
     if (filteredGuests.length === 0) {
-      console.log('No guests with send flag "v" for this sender.');
+      console.log('No guests invited to this event with send flag "v" for this sender.');
       process.exit(0);
     }
 
@@ -99,6 +108,8 @@ async function sendInvitations() {
         senderName: selectedSender,
         name: guest.name,
         addons: guest.addons,
+        language: guest.language,
+        eventId,
       });
       if (res.success) {
         results.successful++;
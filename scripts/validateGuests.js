@@ -0,0 +1,56 @@
+import '../server/config/loadEnv.js';
+import { envGuestSheetId } from '../server/config/loadEnv.js';
+import { configureStorage } from '../server/services/storage.js';
+import { validateGuestList } from '../server/services/guestValidation.js';
+
+/**
+ * Usage: npm run validate:guests [-- --json]
+ *
+ * Prints the guest list report (missing/duplicate phones, unknown senders, malformed add-ons).
+ * Exits 1 when any row has an error, so it can gate a send.
+ */
+
+async function validateGuests() {
+  try {
+    const guestSheetId = envGuestSheetId();
+
+    if (!guestSheetId) {
+      console.error('Error: GOOGLE_GUEST_SHEET_ID is not set');
+      process.exit(1);
+    }
+
+    await configureStorage();
+    const report = await validateGuestList(guestSheetId);
+
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify(report, null, 2));
+      process.exit(report.summary.errors > 0 ? 1 : 0);
+    }
+
+    console.log(`\nGuest tab "${report.tab}"`);
+    report.columns.forEach((line) => console.log(`  ${line}`));
+    console.log(`\nSenders: ${report.senders.join(', ') || '(none)'}`);
+
+    if (report.rows.length === 0) {
+      console.log(`\nAll ${report.summary.rows} row(s) look good.`);
+      process.exit(0);
+    }
+
+    console.log('');
+    for (const row of report.rows) {
+      console.log(`Row ${row.rowNumber}  ${row.name || '(no name)'}  ${row.phone}  ${row.sender}`);
+      for (const issue of row.issues) {
+        console.log(`  ${issue.level === 'error' ? 'ERR ' : 'WARN'} ${issue.code}: ${issue.message}`);
+      }
+    }
+
+    const { rows, rowsWithErrors, errors, warnings } = report.summary;
+    console.log(`\n${rows} row(s) checked: ${errors} error(s) in ${rowsWithErrors} row(s), ${warnings} warning(s).`);
+    process.exit(errors > 0 ? 1 : 0);
+  } catch (error) {
+    console.error(error);
+    process.exit(1);
+  }
+}
+
+validateGuests();
@@ -7,17 +7,31 @@ import { fileURLToPath } from 'url';
 import rsvpRouter from './routes/rsvp.js';
 import adminRouter from './routes/admin.js';
 import adminPayRouter from './routes/adminPay.js';
+import adminPhotosRouter from './routes/adminPhotos.js';
+import docsRouter from './routes/docs.js';
+import eventRouter from './routes/event.js';
 import payRouter from './routes/pay.js';
-import { configureSheets } from './services/googleSheets.js';
+import photosRouter from './routes/photos.js';
+import { getEventConfig } from './config/event.js';
+import { envGuestSheetId } from './config/loadEnv.js';
+import { getRSVPQuestions } from './config/rsvpQuestions.js';
+import { logBlocked } from './services/abuseProtection.js';
+import { checkGuestSheetColumns, configureStorage } from './services/storage.js';
+import { startRSVPQueueWorker } from './services/rsvpQueue.js';
 import { warmWhatsAppSessions } from './services/whatsapp.js';
 
 const app = express();
 const port = process.env.PORT || 8080;
+// Rate limits key on req.ip. X-Forwarded-For is only believed with TRUST_PROXY set (render.yaml sets
+// 1 for Render's proxy); trusting it on a direct connection would let clients pick their own IP.
+app.set('trust proxy', trustProxySetting());
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 app.use(cors());
+// Guests' requests are small; a large body on a public route is refused before it is parsed
+app.use(['/api/rsvp', '/api/pay'], express.json({ limit: process.env.PUBLIC_BODY_LIMIT || '16kb' }));
 app.use(express.json());
 
 // Static landing page assets
@@ -28,24 +42,68 @@ app.get('/health', (_req, res) => {
   res.json({ status: 'ok' });
 });
 
-app.use('/api/rsvp', rsvpRouter);
-app.use('/api/pay', payRouter);
-app.use('/api/admin/pay', adminPayRouter);
-app.use('/api/admin', adminRouter);
+/** @type {Array<[string, express.Router]>} mount order matters: /api/admin/pay and /photos before /api/admin */
+const apiRoutes = [
+  ['/api/event', eventRouter],
+  ['/api/rsvp', rsvpRouter],
+  ['/api/pay', payRouter],
+  ['/api/photos', photosRouter],
+  ['/api/admin/pay', adminPayRouter],
+  ['/api/admin/photos', adminPhotosRouter],
+  ['/api/admin', adminRouter],
+];
+for (const [mountPath, router] of apiRoutes) {
+  app.use(mountPath, router);
+}
+app.use('/api/docs', docsRouter(apiRoutes));
 
 app.get('*', (_req, res) => {
   res.sendFile(path.join(publicDir, 'index.html'));
 });
 
+// Body parser errors (too large, broken JSON) as JSON like every other API error
+app.use((error, req, res, next) => {
+  if (!error.type || !error.status) {
+    return next(error);
+  }
+  if (error.type === 'entity.too.large') {
+    logBlocked(req, `body of ${error.length} bytes`);
+  }
+  res.status(error.status).json({
+    success: false,
+    error: error.type === 'entity.too.large' ? 'Request is too large' : 'Request body is not valid JSON',
+  });
+});
+
+/** TRUST_PROXY: hop count, `true`/`false`, or addresses as Express takes them (default false). */
+function trustProxySetting() {
+  const raw = String(process.env.TRUST_PROXY ?? '').trim();
+  if (!raw) {
+    return false;
+  }
+  if (/^\d+$/.test(raw)) {
+    return parseInt(raw, 10);
+  }
+  if (raw === 'true' || raw === 'false') {
+    return raw === 'true';
+  }
+  return raw;
+}
+
 async function start() {
   try {
-    await configureSheets();
+    // Fail fast on a broken event or RSVP question file rather than on the first guest's visit
+    getEventConfig();
+    getRSVPQuestions();
+    await configureStorage();
+    await checkGuestSheetColumns(envGuestSheetId());
+    startRSVPQueueWorker();
     app.listen(port, () => {
       console.log(`Wedding invite server running on http://localhost:${port}`);
       void warmWhatsAppSessions();
     });
   } catch (error) {
-    console.error('Failed to initialize Google Sheets integration:', error);
+    console.error('Failed to initialize storage:', error);
     process.exit(1);
   }
 }
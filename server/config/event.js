@@ -0,0 +1,300 @@
+/**
+ * The couple, their events (wedding, henna, …) and the gift payment links.
+ *
+ * Read from one JSON file, validated at startup (see app.js). The invitation templates, the
+ * landing page (through GET /api/event), the calendar links and the payment routing defaults all
+ * take these details from here, so another couple only edits this file.
+ *
+ * Each event has its own invitation image and text, its own response tab and, optionally, a guest
+ * list column: only rows marked "v" there are invited (no column: every guest is). The first event
+ * is the default for answers and links that do not name one.
+ *
+ * Environment (optional):
+ * - EVENT_CONFIG_FILE — JSON file (default server/config/event.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { INVITATION_TEMPLATES } from './invitationTemplates.js';
+import { parseLocalizedText } from './locales.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, 'event.json');
+/** Event images are given relative to the project root (like WHATSAPP_INVITE_IMAGE_PATH). */
+const repoRoot = path.join(__dirname, '..', '..');
+
+const DEFAULT_DURATION_MS = 5 * 60 * 60 * 1000;
+const DEFAULT_REMINDERS = [1440, 180];
+const PAYMENT_PROVIDERS = ['paybox', 'bit'];
+
+/** @typedef {import('./locales.js').LocalizedText} LocalizedText */
+
+/**
+ * @typedef {object} PaymentLinkConfig
+ * @property {string} id
+ * @property {string} label shown on the admin page
+ * @property {'paybox' | 'bit'} provider
+ * @property {string} owner
+ * @property {string} url
+ * @property {number} threshold move to the next link after this much (auto routing)
+ */
+
+/** @typedef {{ name: LocalizedText | null, address: LocalizedText, wazeUrl: string | null, googleMapsUrl: string | null }} VenueConfig */
+
+/**
+ * @typedef {object} WeddingEventConfig
+ * @property {string} id used in links, answers and the admin page ("wedding", "henna")
+ * @property {LocalizedText} title landing page heading and calendar entry title
+ * @property {Date | null} start null until the date is set (no calendar links)
+ * @property {Date | null} end start + 5 hours when not given
+ * @property {number[]} reminders calendar alarms, minutes before the start
+ * @property {VenueConfig | null} venue null hides the directions
+ * @property {string | null} image invitation picture (absolute path); null: WHATSAPP_INVITE_IMAGE_PATH
+ * @property {string} template invitation text in config/invitationTemplates.js (default: the id)
+ * @property {string | null} guestColumn guest list column marking who is invited; null: everyone
+ * @property {string | null} responseTab response sheet tab; null: the default for this event (see googleSheets.js)
+ */
+
+/**
+ * @typedef {object} EventConfig
+ * @property {LocalizedText} couple names as written in the invitation ("Daniel Avital and Yuval Pinchuk")
+ * @property {WeddingEventConfig[]} events in the order guests see them; the first is the default
+ * @property {PaymentLinkConfig[]} paymentLinks gift links, in auto-routing order
+ */
+
+let cached = null;
+
+function eventFile() {
+  const raw = (process.env.EVENT_CONFIG_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+function configError(file, message) {
+  return Object.assign(new Error(`Invalid event config (${file}): ${message}`), { status: 500 });
+}
+
+function requiredText(file, raw, name) {
+  const text = parseLocalizedText(raw);
+  if (!text) {
+    throw configError(file, `${name} is required`);
+  }
+  return text;
+}
+
+/** @returns {string | null} */
+function optionalUrl(file, raw, name) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  if (typeof raw !== 'string' || !/^https?:\/\//i.test(raw.trim())) {
+    throw configError(file, `${name} must be an http(s) URL`);
+  }
+  return raw.trim();
+}
+
+/** @returns {Date | null} */
+function optionalDate(file, raw, name) {
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  // A date without an offset would depend on the server's time zone
+  const date = typeof raw === 'string' && /(Z|[+-]\d{2}:?\d{2})$/i.test(raw.trim()) ? new Date(raw) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw configError(file, `${name} must be an ISO date-time with an offset, e.g. 2026-09-10T19:00:00+03:00`);
+  }
+  return date;
+}
+
+/** @returns {string | null} */
+function optionalString(file, raw, name) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  if (typeof raw !== 'string') {
+    throw configError(file, `${name} must be a string`);
+  }
+  return raw.trim() || null;
+}
+
+/** @returns {VenueConfig | null} */
+function normalizeVenue(file, raw, name) {
+  if (raw === undefined || raw === null) {
+    return null;
+  }
+  return {
+    name: parseLocalizedText(raw.name),
+    address: requiredText(file, raw.address, `${name}.address`),
+    wazeUrl: optionalUrl(file, raw.wazeUrl, `${name}.wazeUrl`),
+    googleMapsUrl: optionalUrl(file, raw.googleMapsUrl, `${name}.googleMapsUrl`),
+  };
+}
+
+/** @returns {WeddingEventConfig} */
+function normalizeEvent(file, raw) {
+  const id = String(raw?.id || '').trim();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    throw configError(file, `event id "${id}" must be lower-case letters, digits and -`);
+  }
+
+  const start = optionalDate(file, raw.start, `${id}: start`);
+  const end = optionalDate(file, raw.end, `${id}: end`);
+  if (end && (!start || end <= start)) {
+    throw configError(file, `${id}: end must come after start`);
+  }
+  const reminders = raw.reminders === undefined ? DEFAULT_REMINDERS : raw.reminders;
+  if (!Array.isArray(reminders) || reminders.some((m) => !Number.isInteger(m) || m <= 0)) {
+    throw configError(file, `${id}: reminders must be a list of minutes before the start`);
+  }
+
+  const template = optionalString(file, raw.template, `${id}: template`) || id;
+  const missing = Object.entries(INVITATION_TEMPLATES).filter(([, t]) => !t.bodies[template]).map(([locale]) => locale);
+  if (missing.length) {
+    throw configError(file, `${id}: invitation template "${template}" is missing for ${missing.join(', ')} (see invitationTemplates.js)`);
+  }
+
+  const image = optionalString(file, raw.image, `${id}: image`);
+  const imagePath = image && (path.isAbsolute(image) ? image : path.join(repoRoot, image));
+  if (imagePath && !fs.existsSync(imagePath)) {
+    throw configError(file, `${id}: image ${imagePath} does not exist`);
+  }
+
+  return {
+    id,
+    title: requiredText(file, raw.title, `${id}: title`),
+    start,
+    end: end || (start && new Date(start.getTime() + DEFAULT_DURATION_MS)),
+    reminders,
+    venue: normalizeVenue(file, raw.venue, `${id}: venue`),
+    image: imagePath,
+    template,
+    guestColumn: optionalString(file, raw.guestColumn, `${id}: guestColumn`),
+    responseTab: optionalString(file, raw.responseTab, `${id}: responseTab`),
+  };
+}
+
+/** @returns {PaymentLinkConfig} */
+function normalizePaymentLink(file, raw) {
+  const id = String(raw?.id || '').trim();
+  if (!/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    throw configError(file, `payment link id "${id}" must be lower-case letters, digits and -`);
+  }
+  if (!PAYMENT_PROVIDERS.includes(raw.provider)) {
+    throw configError(file, `${id}: provider must be one of ${PAYMENT_PROVIDERS.join(', ')}`);
+  }
+  const url = optionalUrl(file, raw.url, `${id}: url`);
+  if (!url) {
+    throw configError(file, `${id}: url is required`);
+  }
+  const threshold = Number(raw.threshold);
+  if (!Number.isInteger(threshold) || threshold < 0) {
+    throw configError(file, `${id}: threshold must be a non-negative integer`);
+  }
+  return {
+    id,
+    label: String(raw.label || '').trim() || id,
+    provider: raw.provider,
+    owner: String(raw.owner || '').trim(),
+    url,
+    threshold,
+  };
+}
+
+/**
+ * The event config, read once and validated (throws with status 500 on a bad file).
+ * @returns {EventConfig}
+ */
+export function getEventConfig() {
+  if (cached) {
+    return cached;
+  }
+  const file = eventFile();
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw configError(file, error.message);
+  }
+
+  const events = (Array.isArray(raw.events) ? raw.events : []).map((e) => normalizeEvent(file, e));
+  if (events.length === 0) {
+    throw configError(file, 'events needs at least one event');
+  }
+  if (new Set(events.map((e) => e.id)).size !== events.length) {
+    throw configError(file, 'event ids must be unique');
+  }
+  const tabs = events.filter((e) => e.responseTab).map((e) => e.responseTab);
+  if (new Set(tabs).size !== tabs.length) {
+    throw configError(file, 'two events use the same responseTab');
+  }
+
+  const paymentLinks = (Array.isArray(raw.paymentLinks) ? raw.paymentLinks : []).map((l) => normalizePaymentLink(file, l));
+  if (paymentLinks.length === 0) {
+    throw configError(file, 'paymentLinks needs at least one link');
+  }
+  if (new Set(paymentLinks.map((l) => l.id)).size !== paymentLinks.length) {
+    throw configError(file, 'payment link ids must be unique');
+  }
+
+  cached = {
+    couple: requiredText(file, raw.couple, 'couple'),
+    events,
+    paymentLinks,
+  };
+  return cached;
+}
+
+/** @returns {WeddingEventConfig[]} */
+export function getEvents() {
+  return getEventConfig().events;
+}
+
+/**
+ * The event with this id; the first event when no id is given (answers and links from before
+ * there were several events).
+ * @param {string | null | undefined} id
+ * @returns {WeddingEventConfig}
+ * @throws 400 for an unknown id
+ */
+export function findEvent(id) {
+  const events = getEvents();
+  if (!id) {
+    return events[0];
+  }
+  const event = events.find((e) => e.id === id);
+  if (!event) {
+    throw Object.assign(new Error(`Unknown event "${id}"`), { status: 400 });
+  }
+  return event;
+}
+
+/** Same event, counting a missing id as the first event. */
+export function sameEvent(a, b) {
+  const first = getEvents()[0].id;
+  return (a || first) === (b || first);
+}
+
+/**
+ * An event as guests see it: no payment links, sheet or file details.
+ * @param {WeddingEventConfig} event
+ */
+export function publicEvent(event) {
+  return {
+    id: event.id,
+    title: event.title,
+    start: event.start ? event.start.toISOString() : null,
+    end: event.end ? event.end.toISOString() : null,
+    venue: event.venue,
+    /** GET /api/event/:id/image serves it */
+    image: Boolean(event.image),
+  };
+}
+
+/** What GET /api/event shows (no payment links). */
+export function publicEventConfig() {
+  const { couple, events } = getEventConfig();
+  return { couple, events: events.map(publicEvent) };
+}
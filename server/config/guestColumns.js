@@ -0,0 +1,206 @@
+/**
+ * Guest list column map.
+ *
+ * Each field is located by its header name in row 1 of the guest tab; when no header matches,
+ * the default column letter is used (the original A/B/L/N/O layout). Phone has no default:
+ * without a phone header every cell of the row is scanned (legacy behaviour). The allowed-seats,
+ * language and RSVP write-back columns have no default either; they are only used when a header or
+ * GUEST_COLUMN_MAP entry places them.
+ *
+ * Environment (optional):
+ * - GUEST_SHEET_TAB — guest worksheet name (default `חתונה`).
+ * - GUEST_COLUMN_MAP — JSON object of field → column letter or header name, e.g.
+ *   `{"phone":"P","addons":"מצטרפים","table":"שולחן"}`. Keys that are not built-in fields
+ *   become extra fields, exposed on each guest as `guest.extra[key]`.
+ */
+
+import { columnIndex, columnLetter, isColumnLetter } from '../services/sheetNotation.js';
+
+const DEFAULT_GUEST_SHEET_TAB = 'חתונה';
+
+/** @typedef {{ headers: string[], column: string | null, required?: boolean }} GuestColumnField */
+
+/** @type {Record<string, GuestColumnField>} */
+export const GUEST_COLUMN_FIELDS = {
+  firstName: { headers: ['שם פרטי', 'שם', 'first name', 'name'], column: 'A', required: true },
+  familyName: { headers: ['שם משפחה', 'family name', 'last name', 'surname'], column: 'B' },
+  addons: { headers: ['מצטרפים', 'מלווים', 'addons', 'plus ones'], column: 'L' },
+  sendFlag: { headers: ['לשלוח אישורי הגעה', 'לשלוח', 'send', 'send confirmation'], column: 'N', required: true },
+  sender: { headers: ['שולח', 'sender'], column: 'O', required: true },
+  phone: { headers: ['טלפון', 'נייד', 'מספר טלפון', 'phone', 'mobile'], column: null, required: true },
+  // Seat limit (optional): overrides the count derived from the add-ons cell (see seats.js)
+  allowedSeats: { headers: ['מקומות', 'מספר מקומות', 'מקומות מאושרים', 'allowed seats', 'seats'], column: null },
+  // Invitation / landing page language (optional): code or name, see locales.js
+  language: { headers: ['שפה', 'language', 'lang', 'язык'], column: null },
+  // RSVP write-back (optional): saveRSVPResponse fills these on the guest's row when they exist
+  rsvpStatus: { headers: ['סטטוס אישור הגעה', 'אישר הגעה', 'rsvp status', 'rsvp'], column: null },
+  rsvpHeadcount: { headers: ['מספר מגיעים', 'כמה מגיעים', 'rsvp headcount', 'headcount'], column: null },
+  rsvpTimestamp: { headers: ['תאריך תשובה', 'זמן תשובה', 'rsvp timestamp', 'answered at'], column: null },
+};
+
+/** Guest-row columns written when an RSVP is saved (each optional). */
+export const RSVP_WRITEBACK_FIELDS = ['rsvpStatus', 'rsvpHeadcount', 'rsvpTimestamp'];
+
+/** @typedef {{ index: number | null, source: 'override' | 'header' | 'default' | null }} ResolvedColumn */
+/** @typedef {{ fields: Record<string, ResolvedColumn>, extras: Record<string, ResolvedColumn>, missing: string[] }} GuestColumnMap */
+
+/** Guest list worksheet name (must match the Google Sheet tab exactly). */
+export function guestSheetTab() {
+  return String(process.env.GUEST_SHEET_TAB || '').trim() || DEFAULT_GUEST_SHEET_TAB;
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/** @returns {Record<string, string>} */
+function columnOverrides() {
+  const raw = String(process.env.GUEST_COLUMN_MAP || '').trim();
+  if (!raw) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('expected a JSON object');
+    }
+    return Object.fromEntries(
+      Object.entries(parsed)
+        .filter(([, v]) => typeof v === 'string' && v.trim())
+        .map(([k, v]) => [k, v.trim()]),
+    );
+  } catch (error) {
+    console.error(`Ignoring invalid GUEST_COLUMN_MAP: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * @param {string} ref column letter or header name
+ * @param {Map<string, number>} headerIndex
+ */
+function locateReference(ref, headerIndex) {
+  const byHeader = headerIndex.get(normalizeHeader(ref));
+  if (byHeader !== undefined) {
+    return byHeader;
+  }
+  return isColumnLetter(ref) ? columnIndex(ref.trim()) : null;
+}
+
+/** @param {string[]} headerRow @returns {Map<string, number>} normalized header → first index */
+function indexHeaders(headerRow) {
+  const headerIndex = new Map();
+  headerRow.forEach((cell, i) => {
+    const key = normalizeHeader(cell);
+    if (key && !headerIndex.has(key)) {
+      headerIndex.set(key, i);
+    }
+  });
+  return headerIndex;
+}
+
+/**
+ * A column given by header name or letter, like GUEST_COLUMN_MAP values (used for the event
+ * guest columns, see config/event.js).
+ * @param {string[]} headerRow
+ * @param {string} ref
+ * @returns {number | null}
+ */
+export function findGuestColumn(headerRow, ref) {
+  return locateReference(ref, indexHeaders(headerRow));
+}
+
+/**
+ * Resolve every field against the sheet's header row.
+ * @param {string[]} [headerRow] row 1 of the guest tab
+ * @returns {GuestColumnMap}
+ */
+export function resolveGuestColumns(headerRow = []) {
+  const headerIndex = indexHeaders(headerRow);
+
+  const overrides = columnOverrides();
+  /** @type {Record<string, ResolvedColumn>} */
+  const fields = {};
+  const missing = [];
+
+  for (const [field, def] of Object.entries(GUEST_COLUMN_FIELDS)) {
+    let resolved = { index: null, source: null };
+    if (overrides[field]) {
+      const index = locateReference(overrides[field], headerIndex);
+      if (index !== null) {
+        resolved = { index, source: 'override' };
+      }
+    }
+    if (resolved.index === null) {
+      const hit = def.headers.map((h) => headerIndex.get(normalizeHeader(h))).find((i) => i !== undefined);
+      if (hit !== undefined) {
+        resolved = { index: hit, source: 'header' };
+      } else if (def.column) {
+        resolved = { index: columnIndex(def.column), source: 'default' };
+      }
+    }
+    fields[field] = resolved;
+    if (def.required && resolved.index === null) {
+      missing.push(field);
+    }
+  }
+
+  /** @type {Record<string, ResolvedColumn>} */
+  const extras = {};
+  for (const [key, ref] of Object.entries(overrides)) {
+    if (GUEST_COLUMN_FIELDS[key]) {
+      continue;
+    }
+    const index = locateReference(ref, headerIndex);
+    extras[key] = { index, source: index === null ? null : 'override' };
+  }
+
+  return { fields, extras, missing };
+}
+
+/**
+ * Human-readable lines describing a resolved map (used by the startup check).
+ * @param {GuestColumnMap} map
+ * @param {string[]} [headerRow]
+ */
+export function describeGuestColumns(map, headerRow = []) {
+  const lines = [];
+  for (const [field, col] of Object.entries(map.fields)) {
+    const def = GUEST_COLUMN_FIELDS[field];
+    if (col.index === null) {
+      const hint = def.headers.map((h) => `"${h}"`).join(' / ');
+      if (field === 'phone') {
+        lines.push(`phone: no header matching ${hint}; phone numbers will be detected by scanning each row`);
+      } else if (def.required) {
+        lines.push(`${field}: MISSING (add a header named ${hint} or set it in GUEST_COLUMN_MAP)`);
+      } else {
+        lines.push(`${field}: not in sheet (optional; add a header named ${hint} to use it)`);
+      }
+      continue;
+    }
+    const header = headerRow[col.index] ? ` "${String(headerRow[col.index]).trim()}"` : '';
+    const note = col.source === 'default' ? ' (default position, no matching header)' : '';
+    lines.push(`${field}: column ${columnLetter(col.index)}${header}${note}`);
+  }
+  for (const [key, col] of Object.entries(map.extras)) {
+    lines.push(
+      col.index === null
+        ? `${key}: MISSING (GUEST_COLUMN_MAP points at a header that does not exist)`
+        : `${key}: column ${columnLetter(col.index)} (extra)`,
+    );
+  }
+  return lines;
+}
+
+/**
+ * Guest tab range: the whole tab, so columns found by header name are read wherever they sit
+ * (the API omits trailing empties, so the width costs nothing). Quoted, so a tab name that
+ * looks like a cell reference is still read as a tab.
+ */
+export function guestReadRange() {
+  return `'${guestSheetTab().replace(/'/g, "''")}'`;
+}
@@ -0,0 +1,87 @@
+/**
+ * WhatsApp invitation text, per language (see locales.js).
+ *
+ * Each template builds the opening line from the guest's first name and add-ons cell
+ * (see party.js), then the body of the event being sent with the couple's names from the event
+ * config (see event.js), then — when RSVP_BASE_URL is set — the RSVP link line. An event uses the
+ * body named by its `template` (default: its id); every language needs one.
+ */
+
+import { formatPartyNames } from '../services/party.js';
+
+/**
+ * @typedef {object} InvitationTemplate
+ * @property {string} fallbackName used when the row has no first name
+ * @property {(name: string, addonNames: string[], addonsCell: string) => string} greeting
+ *   addonNames is empty when the cell is blank or not names; addonsCell is the cleaned cell
+ * @property {Record<string, (couple: string) => string>} bodies per event template; couple: the event config's `couple` in this language
+ * @property {(link: string) => string} rsvpLine
+ */
+
+/** @type {Record<import('./locales.js').Locale, InvitationTemplate>} */
+export const INVITATION_TEMPLATES = {
+  /*
+   * Sheet shapes:
+   * - One add-on: "מתן" → שלום {name} ומתן
+   * - Two in one cell: "עמרי ומתן" (space before conjunctive ו) → שלום {name}, עמרי ומתן
+   * - Several with commas: "יובל, עמרי ומתן" / "דניאל, יובל, עמרי ומתן" → שלום {name}, יובל, עמרי ומתן
+   * - Not names (e.g. "+2"): the cell is appended as-is after a comma
+   */
+  he: {
+    fallbackName: 'אורח',
+    greeting(name, addonNames, addonsCell) {
+      if (!addonsCell) {
+        return `שלום ${name},`;
+      }
+      if (addonNames.length === 1) {
+        return `שלום ${name} ו${addonNames[0]}`;
+      }
+      return `שלום ${name}, ${addonNames.length ? formatPartyNames(addonNames, 'he') : addonsCell}`;
+    },
+    bodies: {
+      wedding: (couple) => `מתרגשים להזמינכם לחתונה של ${couple}!
+שריינו את התאריך- פרטים נוספים יישלחו בהמשך
+מחכים לחגוג איתכם❤️`,
+      henna: (couple) => `מתרגשים להזמינכם לחינה של ${couple}!
+שריינו את התאריך- פרטים נוספים יישלחו בהמשך
+מחכים לחגוג איתכם❤️`,
+    },
+    rsvpLine: (link) => `לאישור הגעה: ${link}`,
+  },
+  en: {
+    fallbackName: 'Guest',
+    greeting(name, addonNames, addonsCell) {
+      if (addonNames.length) {
+        return `Hi ${formatPartyNames([name, ...addonNames], 'en')},`;
+      }
+      return addonsCell ? `Hi ${name} (${addonsCell}),` : `Hi ${name},`;
+    },
+    bodies: {
+      wedding: (couple) => `We're excited to invite you to the wedding of ${couple}!
+Save the date - more details will follow
+Can't wait to celebrate with you❤️`,
+      henna: (couple) => `We're excited to invite you to the henna of ${couple}!
+Save the date - more details will follow
+Can't wait to celebrate with you❤️`,
+    },
+    rsvpLine: (link) => `Please RSVP here: ${link}`,
+  },
+  ru: {
+    fallbackName: 'Гость',
+    greeting(name, addonNames, addonsCell) {
+      if (addonNames.length) {
+        return `Здравствуйте, ${formatPartyNames([name, ...addonNames], 'ru')}!`;
+      }
+      return addonsCell ? `Здравствуйте, ${name} (${addonsCell})!` : `Здравствуйте, ${name}!`;
+    },
+    bodies: {
+      wedding: (couple) => `С радостью приглашаем вас на свадьбу ${couple}!
+Сохраните дату - подробности пришлём позже
+Ждём встречи и праздника вместе с вами❤️`,
+      henna: (couple) => `С радостью приглашаем вас на вечер хны ${couple}!
+Сохраните дату - подробности пришлём позже
+Ждём встречи и праздника вместе с вами❤️`,
+    },
+    rsvpLine: (link) => `Подтвердите участие: ${link}`,
+  },
+};
@@ -16,12 +16,22 @@ function stripEnvQuotes(value) {
     .replace(/^['"]|['"]$/g, '');
 }
 
-/** Guest list spreadsheet ID (strips accidental quotes from .env). */
+/**
+ * Where guests and responses live: `sheets` (Google Sheets, default) or `local`
+ * (JSON file under server/data/, no service account needed).
+ */
+export function envStorageBackend() {
+  return stripEnvQuotes(process.env.STORAGE_BACKEND).toLowerCase() === 'local' ? 'local' : 'sheets';
+}
+
+/** Guest list spreadsheet ID (strips accidental quotes from .env). Local storage falls back to a fixed key. */
 export function envGuestSheetId() {
-  return stripEnvQuotes(process.env.GOOGLE_GUEST_SHEET_ID);
+  const id = stripEnvQuotes(process.env.GOOGLE_GUEST_SHEET_ID);
+  return id || (envStorageBackend() === 'local' ? 'local-guests' : '');
 }
 
-/** RSVP / response spreadsheet ID. */
+/** RSVP / response spreadsheet ID. Local storage falls back to a fixed key. */
 export function envResponseSheetId() {
-  return stripEnvQuotes(process.env.GOOGLE_RESPONSE_SHEET_ID);
+  const id = stripEnvQuotes(process.env.GOOGLE_RESPONSE_SHEET_ID);
+  return id || (envStorageBackend() === 'local' ? 'local-responses' : '');
 }
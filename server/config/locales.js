@@ -0,0 +1,75 @@
+/**
+ * Languages the landing page and invitations come in.
+ *
+ * A guest's language comes from the guest tab's language column (`שפה` / `language`), which may
+ * hold a code (`en`, `ru-RU`) or a name in any of the languages (`English`, `רוסית`, `Русский`).
+ * Without one, the landing page follows the browser and invitations use DEFAULT_LOCALE.
+ *
+ * Environment (optional):
+ * - DEFAULT_LOCALE — `he` (default), `en` or `ru`.
+ */
+
+/** @typedef {'he' | 'en' | 'ru'} Locale */
+/** @typedef {string | Partial<Record<Locale, string>>} LocalizedText one string, or one per locale */
+
+/** @type {Locale[]} */
+export const SUPPORTED_LOCALES = ['he', 'en', 'ru'];
+
+/** Spellings accepted in the sheet, lower-cased, per locale. */
+const LOCALE_NAMES = {
+  he: ['he', 'iw', 'hebrew', 'עברית', 'иврит'],
+  en: ['en', 'english', 'אנגלית', 'английский'],
+  ru: ['ru', 'russian', 'רוסית', 'русский'],
+};
+
+/**
+ * @param {unknown} value sheet cell, `?lang=` value or Accept-Language tag
+ * @returns {Locale | null} null when empty or not a supported language
+ */
+export function normalizeLocale(value) {
+  const raw = String(value ?? '').trim().toLowerCase();
+  if (!raw) {
+    return null;
+  }
+  const base = raw.split(/[-_]/)[0];
+  for (const [locale, names] of Object.entries(LOCALE_NAMES)) {
+    if (names.includes(raw) || names.includes(base)) {
+      return /** @type {Locale} */ (locale);
+    }
+  }
+  return null;
+}
+
+/** @returns {Locale} */
+export function defaultLocale() {
+  return normalizeLocale(process.env.DEFAULT_LOCALE) || 'he';
+}
+
+/**
+ * Read a LocalizedText from a config file: trimmed, unknown locales and empty entries dropped.
+ * @param {unknown} raw
+ * @returns {LocalizedText | null} null when empty
+ */
+export function parseLocalizedText(raw) {
+  if (typeof raw === 'string') {
+    return raw.trim() || null;
+  }
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+  const entries = SUPPORTED_LOCALES.filter((l) => typeof raw[l] === 'string' && raw[l].trim()).map((l) => [l, raw[l].trim()]);
+  return entries.length ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * Text configured as one string or per locale (`{ "he": "…", "en": "…" }`).
+ * @param {LocalizedText} text
+ * @param {Locale} [locale] defaults to DEFAULT_LOCALE; falls back to it, then to any translation
+ * @returns {string}
+ */
+export function localized(text, locale = defaultLocale()) {
+  if (typeof text === 'string') {
+    return text;
+  }
+  return text?.[locale] || text?.[defaultLocale()] || Object.values(text || {}).find(Boolean) || '';
+}
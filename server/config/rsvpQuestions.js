@@ -0,0 +1,141 @@
+/**
+ * RSVP form questions (dietary needs, allergies, …).
+ *
+ * The landing page renders these after the headcount, POST /api/rsvp validates answers against
+ * them (see rsvpAnswers.js), and each question gets its own column on the response sheet, found
+ * by header name. The default `vegan` question writes to the original Vegan/Vegetarian column.
+ *
+ * Question types:
+ * - `count` — how many of the people coming (0 … guests + babies); yes/no toggle, then a number.
+ * - `choice` — one of `options` for the whole party.
+ * - `text` — free text, up to `maxLength` characters (default 60).
+ * - `perAttendee` — one of `options` for each person coming, stored in party order.
+ *
+ * Labels, option labels and help may be one string or one per language (`{ "he": "…", "en": "…", "ru": "…" }`,
+ * see locales.js); the landing page picks the guest's language.
+ *
+ * Environment (optional):
+ * - RSVP_QUESTIONS_FILE — JSON file with `{ "questions": [...] }` (default server/config/rsvpQuestions.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseLocalizedText } from './locales.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, 'rsvpQuestions.json');
+
+export const QUESTION_TYPES = ['count', 'choice', 'text', 'perAttendee'];
+
+/** @typedef {import('./locales.js').LocalizedText} LocalizedText */
+
+/**
+ * @typedef {object} RSVPQuestion
+ * @property {string} id key in `answers`
+ * @property {'count' | 'choice' | 'text' | 'perAttendee'} type
+ * @property {LocalizedText} label shown on the landing page
+ * @property {string} column response sheet header
+ * @property {{ value: string, label: LocalizedText }[]} options choice / perAttendee
+ * @property {string} [default] choice / perAttendee value used when the guest does not pick one
+ * @property {boolean} required choice: the guest must pick an option
+ * @property {number} maxLength text
+ * @property {LocalizedText} [help] hint under the question
+ */
+
+let cached = null;
+
+function questionsFile() {
+  const raw = (process.env.RSVP_QUESTIONS_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+function configError(file, message) {
+  return Object.assign(new Error(`Invalid RSVP questions (${file}): ${message}`), { status: 500 });
+}
+
+/**
+ * @param {any} raw one entry of the file's `questions`
+ * @returns {RSVPQuestion}
+ */
+function normalizeQuestion(raw, file) {
+  const id = String(raw?.id || '').trim();
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(id)) {
+    throw configError(file, `question id "${id}" must be letters, digits and _`);
+  }
+  if (!QUESTION_TYPES.includes(raw.type)) {
+    throw configError(file, `${id}: type must be one of ${QUESTION_TYPES.join(', ')}`);
+  }
+  const label = parseLocalizedText(raw.label);
+  if (!label) {
+    throw configError(file, `${id}: label is required`);
+  }
+
+  const options = (Array.isArray(raw.options) ? raw.options : []).map((o) => {
+    const value = String(typeof o === 'string' ? o : o?.value ?? '').trim();
+    return { value, label: (typeof o === 'object' && parseLocalizedText(o?.label)) || value };
+  });
+  const hasOptions = raw.type === 'choice' || raw.type === 'perAttendee';
+  if (hasOptions && options.length === 0) {
+    throw configError(file, `${id}: options are required for ${raw.type}`);
+  }
+  // perAttendee cells list values joined with ", "
+  if (options.some((o) => !o.value || o.value.includes(','))) {
+    throw configError(file, `${id}: option values must be non-empty and contain no commas`);
+  }
+  const fallback = raw.default === undefined ? undefined : String(raw.default);
+  if (fallback !== undefined && !options.some((o) => o.value === fallback)) {
+    throw configError(file, `${id}: default "${fallback}" is not one of its options`);
+  }
+
+  return {
+    id,
+    type: raw.type,
+    label,
+    column: String(raw.column || '').trim() || (typeof label === 'string' ? label : id),
+    options: hasOptions ? options : [],
+    ...(fallback !== undefined ? { default: fallback } : {}),
+    required: raw.type === 'choice' && raw.required === true,
+    maxLength: raw.type === 'text' ? Math.min(Math.max(parseInt(raw.maxLength, 10) || 60, 1), 500) : 0,
+    ...(parseLocalizedText(raw.help) ? { help: parseLocalizedText(raw.help) } : {}),
+  };
+}
+
+/**
+ * The configured questions, read once and validated (throws with status 500 on a bad file).
+ * @returns {RSVPQuestion[]}
+ */
+export function getRSVPQuestions() {
+  if (cached) {
+    return cached;
+  }
+  const file = questionsFile();
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw configError(file, error.message);
+  }
+  if (!Array.isArray(parsed?.questions)) {
+    throw configError(file, 'expected { "questions": [...] }');
+  }
+
+  const questions = parsed.questions.map((q) => normalizeQuestion(q, file));
+  const seen = new Set();
+  for (const key of questions.flatMap((q) => [`id:${q.id}`, `column:${q.column.toLowerCase()}`])) {
+    if (seen.has(key)) {
+      throw configError(file, `duplicate ${key.replace(':', ' ')}`);
+    }
+    seen.add(key);
+  }
+  cached = questions;
+  return cached;
+}
+
+/** What the landing page needs to render the questions (no sheet columns). */
+export function publicRSVPQuestions() {
+  return getRSVPQuestions().map(({ column: _column, ...question }) => question);
+}
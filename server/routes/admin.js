@@ -1,6 +1,30 @@
 import express from 'express';
-import { envGuestSheetId } from '../config/loadEnv.js';
-import { getSenders, getGuestList, updateSendConfirmation } from '../services/googleSheets.js';
+import { findEvent } from '../config/event.js';
+import { envGuestSheetId, envResponseSheetId } from '../config/loadEnv.js';
+import { adminAuthRequired, requireAdminKey } from '../services/adminAuth.js';
+import {
+  getSenders,
+  getGuestList,
+  invalidateGuestCache,
+  updateSendConfirmation,
+  updateSendConfirmations,
+} from '../services/storage.js';
+import { importGuests } from '../services/guestImport.js';
+import { inviteLink } from '../services/inviteTokens.js';
+import { buildRSVPReport, REPORT_FILES, renderReportFile } from '../services/reports.js';
+import { validateRequest } from '../services/requestValidation.js';
+import { validateGuestList } from '../services/guestValidation.js';
+import { decideRSVPRequest, getRSVPRequests, getRSVPWindow } from '../services/rsvpDeadline.js';
+import { getChangedAnswers } from '../services/rsvpHistory.js';
+import { getRSVPQueue, retryRSVPQueue } from '../services/rsvpQueue.js';
+import {
+  findOverLimitAnswers,
+  getSeatExceptions,
+  seatLimitFor,
+  seatLimitMode,
+  setSeatException,
+} from '../services/seats.js';
+import { getSheetsStats } from '../services/sheetsRetry.js';
 import {
   initializeWhatsApp,
   waitForReady,
@@ -13,11 +37,17 @@ import {
 } from '../services/whatsapp.js';
 const router = express.Router();
 
+/** `?event=` on the per-event views (see config/event.js) */
+const EVENT_QUERY = { event: { type: 'string', description: 'Event id (default: the first event)' } };
+
 router.use((_req, res, next) => {
   res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
   next();
 });
 
+// Guest phones, invitation links and the WhatsApp session: nothing here is public
+router.use(requireAdminKey);
+
 /** @type {Map<string, string>} raw pairing string → PNG data URL */
 const qrPngByPairing = new Map();
 const QR_PNG_CACHE_MAX = 12;
@@ -50,7 +80,7 @@ async function safeQrDataUrl(raw) {
   }
 }
 
-router.get('/senders', async (req, res) => {
+router.get('/senders', validateRequest({ summary: 'Senders named in the guest list' }), async (req, res) => {
   try {
     const guestSheetId = envGuestSheetId();
     if (!guestSheetId) {
@@ -74,11 +104,76 @@ router.get('/senders', async (req, res) => {
   }
 });
 
-router.get('/guests/:sender', async (req, res) => {
+function safeInviteLink(phone, eventId) {
   try {
-    const { sender } = req.params;
-    const guestSheetId = envGuestSheetId();
+    return inviteLink(phone, eventId);
+  } catch {
+    return null;
+  }
+}
+
+/** `?event=`; the first event when omitted, 400 when unknown. */
+function queryEvent(req) {
+  return findEvent(req.query.event);
+}
+
+/**
+ * GET /api/admin/guests/:sender?event=henna — the sender's guests invited to the event, each with
+ * their personal link to it. Links are only returned when ADMIN_API_KEY is set (and was checked):
+ * without it anyone could collect them and answer for the guests.
+ */
+router.get(
+  '/guests/:sender',
+  validateRequest({
+    summary: 'A sender\'s guests invited to an event, with their links',
+    params: { properties: { sender: { type: 'string' } } },
+    query: { properties: EVENT_QUERY },
+  }),
+  async (req, res) => {
+    try {
+      const { sender } = req.params;
+      const event = queryEvent(req);
+      const guestSheetId = envGuestSheetId();
+
+      if (!guestSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Guest sheet not configured',
+        });
+      }
+
+      const allGuests = await getGuestList(guestSheetId);
+      const senderGuests = allGuests.filter((guest) => {
+        const matchesSender = guest.sender && guest.sender.trim() === sender.trim();
+        return matchesSender && guest.events.includes(event.id);
+      });
 
+      const exceptions = getSeatExceptions();
+      res.json({
+        success: true,
+        // Personal RSVP link per guest (null without ADMIN_API_KEY or RSVP_BASE_URL, or for a number that is not valid)
+        guests: senderGuests.map((guest) => ({
+          ...guest,
+          inviteLink: adminAuthRequired() ? safeInviteLink(guest.phoneTo, event.id) : null,
+          seatLimit: seatLimitFor(guest, exceptions),
+        })),
+      });
+    } catch (error) {
+      console.error('Error getting guests:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.status === 400 ? error.message : 'Failed to get guests',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/guest-list/validate — row-by-row errors and warnings for the guest tab.
+ */
+router.get('/guest-list/validate', validateRequest({ summary: 'Errors and warnings per guest row' }), async (_req, res) => {
+  try {
+    const guestSheetId = envGuestSheetId();
     if (!guestSheetId) {
       return res.status(500).json({
         success: false,
@@ -86,225 +181,677 @@ router.get('/guests/:sender', async (req, res) => {
       });
     }
 
-    const allGuests = await getGuestList(guestSheetId);
-    const senderGuests = allGuests.filter((guest) => {
-      const matchesSender = guest.sender && guest.sender.trim() === sender.trim();
-      return matchesSender;
-    });
-
+    const report = await validateGuestList(guestSheetId);
     res.json({
       success: true,
-      guests: senderGuests,
+      report,
     });
   } catch (error) {
-    console.error('Error getting guests:', error);
+    console.error('Error validating guest list:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to get guests',
+      error: error.message || 'Failed to validate guest list',
     });
   }
 });
 
-router.post('/update-send-status', async (req, res) => {
-  try {
-    const { phone, shouldSend } = req.body;
-    const guestSheetId = envGuestSheetId();
+/**
+ * POST /api/admin/import-guests?filename=list.csv&sender=יובל[&send=1][&dryRun=1][&columns={...}]
+ * Body: the file itself (Content-Type: application/octet-stream) — CSV, XLSX or VCF.
+ * dryRun=1 returns the preview (new / duplicates / invalid) without writing.
+ */
+router.post(
+  '/import-guests',
+  express.raw({ type: 'application/octet-stream', limit: '10mb' }),
+  validateRequest({
+    summary: 'Import guests from a CSV, XLSX or VCF file',
+    contentType: 'application/octet-stream',
+    query: {
+      properties: {
+        filename: { type: 'string', description: 'Picks the parser by extension' },
+        sender: { type: 'string' },
+        send: { type: 'boolean', description: 'Mark the new guests for sending' },
+        dryRun: { type: 'boolean', description: 'Preview without writing' },
+        columns: { type: 'string', description: 'JSON object mapping fields to file columns' },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const guestSheetId = envGuestSheetId();
+      if (!guestSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Guest sheet not configured',
+        });
+      }
 
-    if (!guestSheetId) {
-      return res.status(500).json({
+      if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Upload the file as the request body (Content-Type: application/octet-stream)',
+        });
+      }
+
+      let columns;
+      if (req.query.columns) {
+        try {
+          columns = JSON.parse(req.query.columns);
+        } catch {
+          return res.status(400).json({
+            success: false,
+            error: 'columns must be a JSON object',
+          });
+        }
+      }
+
+      const result = await importGuests(guestSheetId, req.body, {
+        filename: req.query.filename || '',
+        sender: req.query.sender || '',
+        markToSend: req.query.send === true,
+        dryRun: req.query.dryRun === true,
+        columns,
+      });
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Error importing guests:', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Guest sheet not configured',
+        error: error.message || 'Failed to import guests',
       });
     }
+  },
+);
+
+/**
+ * POST /api/admin/refresh-guests — drop cached guest rows so the next read hits the sheet.
+ */
+router.post('/refresh-guests', validateRequest({ summary: 'Drop the cached guest rows' }), (_req, res) => {
+  invalidateGuestCache(envGuestSheetId());
+  res.json({
+    success: true,
+    message: 'Guest cache cleared',
+  });
+});
+
+router.post(
+  '/update-send-status',
+  validateRequest({
+    summary: 'Mark or unmark one guest for sending',
+    body: {
+      required: ['phone'],
+      properties: {
+        phone: { type: 'string', minLength: 1 },
+        shouldSend: { type: 'boolean' },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { phone, shouldSend } = req.body;
+      const guestSheetId = envGuestSheetId();
+
+      if (!guestSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Guest sheet not configured',
+        });
+      }
+
+      await updateSendConfirmation(guestSheetId, phone, shouldSend);
+      res.json({
+        success: true,
+        message: 'Send status updated',
+      });
+    } catch (error) {
+      console.error('Error updating send status:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to update send status',
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/update-send-status/bulk — one sheet read + one batchUpdate for many guests.
+ * Body: { updates: [{ phone, shouldSend }] }; responds with per-row results.
+ */
+router.post(
+  '/update-send-status/bulk',
+  validateRequest({
+    summary: 'Mark or unmark many guests for sending',
+    body: {
+      required: ['updates'],
+      properties: {
+        updates: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['phone'],
+            properties: {
+              phone: { type: 'string', minLength: 1 },
+              shouldSend: { type: 'boolean' },
+            },
+          },
+        },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { updates } = req.body;
+      const guestSheetId = envGuestSheetId();
 
-    if (!phone) {
-      return res.status(400).json({
+      if (!guestSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Guest sheet not configured',
+        });
+      }
+
+      const result = await updateSendConfirmations(
+        guestSheetId,
+        updates.map((u) => ({ phone: u.phone, shouldSend: u.shouldSend === true })),
+      );
+      res.json({
+        success: true,
+        ...result,
+      });
+    } catch (error) {
+      console.error('Error updating send status (bulk):', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Phone number is required',
+        error: error.message || 'Failed to update send status',
       });
     }
+  },
+);
 
-    await updateSendConfirmation(guestSheetId, phone, shouldSend);
+/**
+ * GET /api/admin/rsvp-queue — RSVP answers not yet written to the response sheet.
+ */
+router.get('/rsvp-queue', validateRequest({ summary: 'Answers not yet written to the sheet' }), (_req, res) => {
+  try {
     res.json({
       success: true,
-      message: 'Send status updated',
+      ...getRSVPQueue(),
     });
   } catch (error) {
-    console.error('Error updating send status:', error);
-    res.status(500).json({
+    console.error('Error reading RSVP queue:', error);
+    res.status(error.status || 500).json({
       success: false,
-      error: error.message || 'Failed to update send status',
+      error: error.message || 'Failed to read RSVP queue',
     });
   }
 });
 
 /**
- * POST /api/admin/init-whatsapp — start Baileys; poll until QR or open.
+ * POST /api/admin/rsvp-queue/retry — write queued answers now (resets failed items).
+ * Body: { ids? } — limit to these queue items.
  */
-router.post('/init-whatsapp', async (req, res) => {
-  try {
-    const { sender } = req.body;
+router.post(
+  '/rsvp-queue/retry',
+  validateRequest({
+    summary: 'Write queued answers now',
+    body: {
+      properties: {
+        ids: { type: 'array', items: { type: 'string' }, description: 'Only these queue items' },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const result = await retryRSVPQueue(req.body.ids);
+      res.json({
+        success: true,
+        ...result,
+        ...getRSVPQueue(),
+      });
+    } catch (error) {
+      console.error('Error retrying RSVP queue:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to retry RSVP queue',
+      });
+    }
+  },
+);
 
-    if (!sender) {
-      return res.status(400).json({
+/**
+ * GET /api/admin/rsvp-requests?status=pending — late RSVP changes (after RSVP_DEADLINE) and the
+ * current RSVP window. Without status, all requests including decided ones.
+ */
+router.get(
+  '/rsvp-requests',
+  validateRequest({
+    summary: 'Late RSVP changes and the RSVP window',
+    query: {
+      properties: {
+        status: { enum: ['pending', 'approved', 'rejected', 'superseded'], description: 'Default: all' },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        rsvpWindow: getRSVPWindow(),
+        ...getRSVPRequests({ status: req.query.status }),
+      });
+    } catch (error) {
+      console.error('Error reading RSVP requests:', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'Sender is required',
+        error: error.message || 'Failed to read RSVP requests',
       });
     }
+  },
+);
 
-    let qrCode = getQRCode(sender);
-    const status = getStatus(sender);
+/**
+ * POST /api/admin/rsvp-requests/:id/approve | /reject — approving writes the answer to the sheet.
+ */
+router.post(
+  '/rsvp-requests/:id/:decision(approve|reject)',
+  validateRequest({
+    summary: 'Approve or reject a late RSVP change',
+    params: {
+      properties: {
+        id: { type: 'string' },
+        decision: { enum: ['approve', 'reject'] },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const request = decideRSVPRequest(req.params.id, req.params.decision === 'approve');
+      res.json({
+        success: true,
+        request,
+        ...getRSVPRequests({ status: 'pending' }),
+      });
+    } catch (error) {
+      console.error('Error deciding RSVP request:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to update RSVP request',
+      });
+    }
+  },
+);
 
-    if (status.ready) {
-      return res.json({
+/**
+ * GET /api/admin/seats/over-limit?event=… — "Yes" answers above the guest's seat limit.
+ */
+router.get(
+  '/seats/over-limit',
+  validateRequest({ summary: '"Yes" answers above the guest\'s seat limit', query: { properties: EVENT_QUERY } }),
+  async (req, res) => {
+    try {
+      const guestSheetId = envGuestSheetId();
+      const responseSheetId = envResponseSheetId();
+      if (!guestSheetId || !responseSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Guest or response sheet not configured',
+        });
+      }
+
+      res.json({
         success: true,
-        qrCode: null,
-        ready: true,
+        mode: seatLimitMode(),
+        guests: await findOverLimitAnswers(responseSheetId, guestSheetId, queryEvent(req).id),
+      });
+    } catch (error) {
+      console.error('Error checking seat limits:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to check seat limits',
       });
     }
+  },
+);
 
-    if (qrCode) {
-      const qrDataUrl = await safeQrDataUrl(qrCode);
-      return res.json({
+/**
+ * POST /api/admin/seat-exceptions
+ * Body: { phone, seats, note? } — let this guest register up to `seats` people; seats null removes the exception.
+ */
+router.post(
+  '/seat-exceptions',
+  validateRequest({
+    summary: 'Let a guest register more (or fewer) people',
+    body: {
+      required: ['phone', 'seats'],
+      properties: {
+        phone: { type: 'string', minLength: 1 },
+        seats: { type: ['integer', 'null'], minimum: 1, maximum: 50, description: 'null removes the exception' },
+        note: { type: 'string', maxLength: 200 },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const { phone, seats, note } = req.body;
+      const exception = setSeatException(phone, seats, note);
+      res.json({
         success: true,
-        qrCode,
-        qrDataUrl,
-        ready: false,
+        exception,
+      });
+    } catch (error) {
+      console.error('Error saving seat exception:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to save seat exception',
       });
     }
+  },
+);
 
-    let initError = null;
-    const initPromise = initializeWhatsApp(sender).catch((err) => {
-      console.error('[init-whatsapp]', err);
-      initError = err;
-    });
+/**
+ * GET /api/admin/rsvp-changes?since=2026-05-01&event=… — guests who changed their RSVP answer since a date
+ * (ISO date or date-time; omit for all changes).
+ */
+router.get(
+  '/rsvp-changes',
+  validateRequest({
+    summary: 'Guests who changed their answer',
+    query: {
+      properties: {
+        since: { type: 'string', format: 'date-time', description: 'ISO date or date-time; default: all changes' },
+        ...EVENT_QUERY,
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const responseSheetId = envResponseSheetId();
+      if (!responseSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Response sheet not configured',
+        });
+      }
 
-    let attempts = 0;
-    while (!qrCode && !initError) {
-      await new Promise((r) => setTimeout(r, 400));
-      attempts += 1;
-      if (getStatus(sender).ready) {
+      const since = req.query.since ? new Date(req.query.since) : null;
+      const report = await getChangedAnswers(responseSheetId, { since, eventId: queryEvent(req).id });
+      res.json({
+        success: true,
+        ...report,
+      });
+    } catch (error) {
+      console.error('Error reading RSVP changes:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to read RSVP changes',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/reports/summary?event=… — headcount totals, dietary totals and per-sender counts as JSON.
+ */
+router.get(
+  '/reports/summary',
+  validateRequest({ summary: 'Headcount, dietary and per-sender totals', query: { properties: EVENT_QUERY } }),
+  async (req, res) => {
+    try {
+      const responseSheetId = envResponseSheetId();
+      if (!responseSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Response sheet not configured',
+        });
+      }
+
+      const report = await buildRSVPReport(responseSheetId, envGuestSheetId(), queryEvent(req).id);
+      res.json({
+        success: true,
+        generatedAt: report.generatedAt,
+        eventId: report.eventId,
+        totals: report.totals,
+        dietary: report.dietary,
+        bySender: report.bySender,
+        files: Object.keys(REPORT_FILES),
+      });
+    } catch (error) {
+      console.error('Error building RSVP report:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to build RSVP report',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/reports/:name?event=… — download responses.csv, responses.xlsx, senders.csv or catering.pdf.
+ */
+router.get(
+  '/reports/:name',
+  validateRequest({
+    summary: 'Download a report file',
+    params: { properties: { name: { enum: Object.keys(REPORT_FILES) } } },
+    query: { properties: EVENT_QUERY },
+  }),
+  async (req, res) => {
+    try {
+      const responseSheetId = envResponseSheetId();
+      if (!responseSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Response sheet not configured',
+        });
+      }
+
+      const name = req.params.name;
+      const report = await buildRSVPReport(responseSheetId, envGuestSheetId(), queryEvent(req).id);
+      const body = await renderReportFile(name, report);
+      const [base, ext] = name.split('.');
+      res.set('Content-Type', REPORT_FILES[name].contentType);
+      res.attachment(`rsvp-${report.eventId}-${base}-${report.generatedAt.slice(0, 10)}.${ext}`);
+      res.send(body);
+    } catch (error) {
+      console.error('Error exporting RSVP report:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to export RSVP report',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/sheets-stats — Sheets API call, retry and failure counters since startup.
+ */
+router.get('/sheets-stats', validateRequest({ summary: 'Sheets API call and retry counters' }), (_req, res) => {
+  res.json({
+    success: true,
+    stats: getSheetsStats(),
+  });
+});
+
+/**
+ * POST /api/admin/init-whatsapp — start Baileys; poll until QR or open.
+ */
+router.post(
+  '/init-whatsapp',
+  validateRequest({
+    summary: 'Start a sender\'s WhatsApp session (QR code until linked)',
+    body: { required: ['sender'], properties: { sender: { type: 'string', minLength: 1 } } },
+  }),
+  async (req, res) => {
+    try {
+      const { sender } = req.body;
+
+      let qrCode = getQRCode(sender);
+      const status = getStatus(sender);
+
+      if (status.ready) {
         return res.json({
           success: true,
           qrCode: null,
           ready: true,
         });
       }
-      qrCode = getQRCode(sender);
-      const cur = getStatus(sender);
-      if (cur.ready) {
+
+      if (qrCode) {
+        const qrDataUrl = await safeQrDataUrl(qrCode);
         return res.json({
           success: true,
-          qrCode: null,
-          ready: true,
+          qrCode,
+          qrDataUrl,
+          ready: false,
         });
       }
-      if (attempts % 25 === 0) {
-        try {
-          await Promise.race([
-            initPromise,
-            new Promise((r) => setTimeout(r, 50)),
-          ]);
-        } catch (e) {
-          initError = e;
+
+      let initError = null;
+      const initPromise = initializeWhatsApp(sender).catch((err) => {
+        console.error('[init-whatsapp]', err);
+        initError = err;
+      });
+
+      let attempts = 0;
+      while (!qrCode && !initError) {
+        await new Promise((r) => setTimeout(r, 400));
+        attempts += 1;
+        if (getStatus(sender).ready) {
+          return res.json({
+            success: true,
+            qrCode: null,
+            ready: true,
+          });
+        }
+        qrCode = getQRCode(sender);
+        const cur = getStatus(sender);
+        if (cur.ready) {
+          return res.json({
+            success: true,
+            qrCode: null,
+            ready: true,
+          });
+        }
+        if (attempts % 25 === 0) {
+          try {
+            await Promise.race([
+              initPromise,
+              new Promise((r) => setTimeout(r, 50)),
+            ]);
+          } catch (e) {
+            initError = e;
+          }
         }
       }
-    }
 
-    if (initError) {
-      return res.status(500).json({
-        success: false,
-        error: initError.message || String(initError),
-      });
-    }
+      if (initError) {
+        return res.status(500).json({
+          success: false,
+          error: initError.message || String(initError),
+        });
+      }
 
-    if (getStatus(sender).ready) {
+      if (getStatus(sender).ready) {
+        return res.json({
+          success: true,
+          qrCode: null,
+          ready: true,
+        });
+      }
+
+      const qrDataUrl = qrCode ? await safeQrDataUrl(qrCode) : null;
       return res.json({
         success: true,
-        qrCode: null,
-        ready: true,
+        qrCode,
+        qrDataUrl,
+        ready: false,
+      });
+    } catch (error) {
+      console.error('[init-whatsapp]', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to initialize WhatsApp',
       });
     }
-
-    const qrDataUrl = qrCode ? await safeQrDataUrl(qrCode) : null;
-    return res.json({
-      success: true,
-      qrCode,
-      qrDataUrl,
-      ready: false,
-    });
-  } catch (error) {
-    console.error('[init-whatsapp]', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to initialize WhatsApp',
-    });
-  }
-});
+  },
+);
 
 /**
  * GET /api/admin/whatsapp-status/:sender
  */
-router.get('/whatsapp-status/:sender', async (req, res) => {
-  try {
-    const { sender } = req.params;
-    let status = getStatus(sender);
-
+router.get(
+  '/whatsapp-status/:sender',
+  validateRequest({ summary: 'Whether a sender\'s WhatsApp is linked', params: { properties: { sender: { type: 'string' } } } }),
+  async (req, res) => {
     try {
-      const client = getClient(sender);
-      if (client?.user?.id) {
-        status = { ready: true, qrCode: null };
+      const { sender } = req.params;
+      let status = getStatus(sender);
+
+      try {
+        const client = getClient(sender);
+        if (client?.user?.id) {
+          status = { ready: true, qrCode: null };
+        }
+      } catch {
+        /* ignore */
       }
-    } catch {
-      /* ignore */
-    }
 
-    const raw = status.qrCode || null;
-    const qrDataUrl = raw ? await safeQrDataUrl(raw) : null;
-    res.json({
-      success: true,
-      ready: status.ready || false,
-      qr: raw,
-      qrDataUrl,
-    });
-  } catch (error) {
-    console.error('[whatsapp-status]', error);
-    res.json({
-      success: true,
-      ready: false,
-      qr: null,
-      qrDataUrl: null,
-    });
-  }
-});
+      const raw = status.qrCode || null;
+      const qrDataUrl = raw ? await safeQrDataUrl(raw) : null;
+      res.json({
+        success: true,
+        ready: status.ready || false,
+        qr: raw,
+        qrDataUrl,
+      });
+    } catch (error) {
+      console.error('[whatsapp-status]', error);
+      res.json({
+        success: true,
+        ready: false,
+        qr: null,
+        qrDataUrl: null,
+      });
+    }
+  },
+);
 
 /**
  * DELETE /api/admin/clear-session/:sender — logout Baileys and delete auth folder.
  */
-router.delete('/clear-session/:sender', async (req, res) => {
-  try {
-    const { sender } = req.params;
-    await destroySession(sender);
+router.delete(
+  '/clear-session/:sender',
+  validateRequest({ summary: 'Log a sender out of WhatsApp', params: { properties: { sender: { type: 'string' } } } }),
+  async (req, res) => {
+    try {
+      const { sender } = req.params;
+      await destroySession(sender);
 
-    res.json({
-      success: true,
-      message: `Session cleared for ${sender}. Next connect will show a new QR code.`,
-    });
-  } catch (error) {
-    console.error('Error clearing session:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to clear session',
-    });
-  }
-});
+      res.json({
+        success: true,
+        message: `Session cleared for ${sender}. Next connect will show a new QR code.`,
+      });
+    } catch (error) {
+      console.error('Error clearing session:', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to clear session',
+      });
+    }
+  },
+);
 
 /**
  * @param {string} sender
- * @param {Array<{ name?: string, phone: string, addons?: string }>} guests
+ * @param {string} eventId which invitation to send (see config/event.js)
+ * @param {Array<{ name?: string, phone: string, addons?: string, language?: string | null }>} guests
  * @param {(completed: number, guest: { name?: string, phone: string }, summary: { total: number, successful: number, failed: number, details: unknown[] }) => void} [afterEach]
  */
-async function sendInvitationsSequential(sender, guests, afterEach) {
+async function sendInvitationsSequential(sender, eventId, guests, afterEach) {
   await waitForReady(sender, null);
   const summary = {
     total: guests.length,
@@ -321,6 +868,8 @@ async function sendInvitationsSequential(sender, guests, afterEach) {
         senderName: sender,
         name: guest.name,
         addons: guest.addons,
+        language: guest.language,
+        eventId,
       });
       if (result.success) {
         summary.successful++;
@@ -349,71 +898,92 @@ async function sendInvitationsSequential(sender, guests, afterEach) {
 
 /**
  * POST /api/admin/send-invitations — sequential sends (one Baileys client per sender).
+ * Body: { sender, eventId?, guests } — eventId picks the invitation text, image and link (default: the first event).
  * With `Accept: application/x-ndjson`, streams one JSON line per guest plus a final `done` or `error` line.
  */
-router.post('/send-invitations', async (req, res) => {
-  try {
-    const { sender, guests } = req.body;
-
-    if (!sender || !guests || !Array.isArray(guests)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Sender and guests array are required',
-      });
-    }
+router.post(
+  '/send-invitations',
+  validateRequest({
+    summary: 'Send WhatsApp invitations, one guest after another',
+    body: {
+      required: ['sender', 'guests'],
+      properties: {
+        sender: { type: 'string', minLength: 1 },
+        eventId: { type: 'string', description: 'Default: the first event' },
+        guests: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['phone'],
+            properties: {
+              phone: { type: 'string', minLength: 1 },
+              name: { type: 'string' },
+              addons: { type: 'string' },
+              language: { type: ['string', 'null'] },
+            },
+          },
+        },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { sender, eventId, guests } = req.body;
+      const event = findEvent(eventId);
 
-    console.log(`[send-invitations] sender=${sender} guests=${guests.length}`);
+      console.log(`[send-invitations] sender=${sender} event=${event.id} guests=${guests.length}`);
 
-    const wantsNdjson = (req.get('accept') || '').includes('application/x-ndjson');
+      const wantsNdjson = (req.get('accept') || '').includes('application/x-ndjson');
 
-    if (wantsNdjson) {
-      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('X-Accel-Buffering', 'no');
-      try {
-        const summary = await sendInvitationsSequential(sender, guests, (completed, guest, s) => {
+      if (wantsNdjson) {
+        res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('X-Accel-Buffering', 'no');
+        try {
+          const summary = await sendInvitationsSequential(sender, event.id, guests, (completed, guest, s) => {
+            res.write(
+              `${JSON.stringify({
+                type: 'progress',
+                completed,
+                total: s.total,
+                successful: s.successful,
+                failed: s.failed,
+                lastPhone: guest.phone,
+              })}\n`,
+            );
+          });
+          console.log(`[send-invitations] done success=${summary.successful} failed=${summary.failed}`);
+          res.write(`${JSON.stringify({ type: 'done', success: true, ...summary })}\n`);
+          res.end();
+        } catch (error) {
+          console.error('Error sending invitations (stream):', error);
           res.write(
             `${JSON.stringify({
-              type: 'progress',
-              completed,
-              total: s.total,
-              successful: s.successful,
-              failed: s.failed,
-              lastPhone: guest.phone,
+              type: 'error',
+              success: false,
+              error: error.message || 'Failed to send invitations',
             })}\n`,
           );
-        });
-        console.log(`[send-invitations] done success=${summary.successful} failed=${summary.failed}`);
-        res.write(`${JSON.stringify({ type: 'done', success: true, ...summary })}\n`);
-        res.end();
-      } catch (error) {
-        console.error('Error sending invitations (stream):', error);
-        res.write(
-          `${JSON.stringify({
-            type: 'error',
-            success: false,
-            error: error.message || 'Failed to send invitations',
-          })}\n`,
-        );
-        res.end();
+          res.end();
+        }
+        return;
       }
-      return;
-    }
 
-    const summary = await sendInvitationsSequential(sender, guests);
-    console.log(`[send-invitations] done success=${summary.successful} failed=${summary.failed}`);
+      const summary = await sendInvitationsSequential(sender, event.id, guests);
+      console.log(`[send-invitations] done success=${summary.successful} failed=${summary.failed}`);
 
-    res.json({
-      success: true,
-      ...summary,
-    });
-  } catch (error) {
-    console.error('Error sending invitations:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to send invitations',
-    });
-  }
-});
+      res.json({
+        success: true,
+        ...summary,
+      });
+    } catch (error) {
+      console.error('Error sending invitations:', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to send invitations',
+      });
+    }
+  },
+);
 
 export default router;
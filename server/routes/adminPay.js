@@ -1,10 +1,12 @@
 import express from 'express';
+import { adminAuthRequired, requireAdminKey } from '../services/adminAuth.js';
 import {
   adjustLinkSum,
   getPaymentStatus,
   setRoutingMode,
   updateLink,
 } from '../services/paymentRouting.js';
+import { validateRequest } from '../services/requestValidation.js';
 
 const router = express.Router();
 
@@ -13,32 +15,17 @@ router.use((_req, res, next) => {
   next();
 });
 
-function requireAdminKey(req, res, next) {
-  const expected = (process.env.ADMIN_API_KEY || '').trim();
-  if (!expected) {
-    return next();
-  }
-  const provided = String(req.get('x-admin-key') || req.query.key || '').trim();
-  if (provided !== expected) {
-    return res.status(401).json({
-      success: false,
-      error: 'Unauthorized. Provide a valid x-admin-key header.',
-    });
-  }
-  return next();
-}
-
 router.use(requireAdminKey);
 
 /**
  * GET /api/admin/pay/status
  */
-router.get('/status', (_req, res) => {
+router.get('/status', validateRequest({ summary: 'Payment links, sums, routing mode and history' }), (_req, res) => {
   try {
     res.json({
       success: true,
       ...getPaymentStatus(),
-      authRequired: Boolean((process.env.ADMIN_API_KEY || '').trim()),
+      authRequired: adminAuthRequired(),
     });
   } catch (error) {
     console.error('[admin/pay/status]', error);
@@ -53,59 +40,96 @@ router.get('/status', (_req, res) => {
  * POST /api/admin/pay/mode
  * Body: { mode: 'auto' | 'manual', manualLinkId? }
  */
-router.post('/mode', (req, res) => {
-  try {
-    const { mode, manualLinkId } = req.body || {};
-    if (mode !== 'auto' && mode !== 'manual') {
-      return res.status(400).json({
+router.post(
+  '/mode',
+  validateRequest({
+    summary: 'Switch between automatic and manual link routing',
+    body: {
+      required: ['mode'],
+      properties: {
+        mode: { enum: ['auto', 'manual'] },
+        manualLinkId: { type: 'string', description: 'Required for manual mode' },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const { mode, manualLinkId } = req.body;
+      const status = setRoutingMode(mode, manualLinkId || null);
+      res.json({ success: true, ...status });
+    } catch (error) {
+      console.error('[admin/pay/mode]', error);
+      res.status(error.status || 500).json({
         success: false,
-        error: 'mode must be "auto" or "manual"',
+        error: error.message || 'Failed to update routing mode',
       });
     }
-    const status = setRoutingMode(mode, manualLinkId || null);
-    res.json({ success: true, ...status });
-  } catch (error) {
-    console.error('[admin/pay/mode]', error);
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to update routing mode',
-    });
-  }
-});
+  },
+);
 
 /**
  * POST /api/admin/pay/links/:linkId
  * Body: { threshold?, currentSum?, url?, label? }
  */
-router.post('/links/:linkId', (req, res) => {
-  try {
-    const status = updateLink(req.params.linkId, req.body || {});
-    res.json({ success: true, ...status });
-  } catch (error) {
-    console.error('[admin/pay/links]', error);
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to update link',
-    });
-  }
-});
+router.post(
+  '/links/:linkId',
+  validateRequest({
+    summary: 'Edit a payment link',
+    params: { properties: { linkId: { type: 'string' } } },
+    body: {
+      additionalProperties: false,
+      properties: {
+        threshold: { type: 'number', minimum: 0, description: 'Shekels; rounded down' },
+        currentSum: { type: 'number', minimum: 0, description: 'Shekels; rounded down' },
+        url: { type: 'string', pattern: '^https?://' },
+        label: { type: 'string' },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const status = updateLink(req.params.linkId, req.body);
+      res.json({ success: true, ...status });
+    } catch (error) {
+      console.error('[admin/pay/links]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to update link',
+      });
+    }
+  },
+);
 
 /**
  * POST /api/admin/pay/links/:linkId/adjust
  * Body: { amount, note? } — amount can be negative
  */
-router.post('/links/:linkId/adjust', (req, res) => {
-  try {
-    const { amount, note } = req.body || {};
-    const status = adjustLinkSum(req.params.linkId, amount, note);
-    res.json({ success: true, ...status });
-  } catch (error) {
-    console.error('[admin/pay/adjust]', error);
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to adjust link sum',
-    });
-  }
-});
+router.post(
+  '/links/:linkId/adjust',
+  validateRequest({
+    summary: 'Add to or take from a link\'s sum',
+    params: { properties: { linkId: { type: 'string' } } },
+    body: {
+      required: ['amount'],
+      properties: {
+        amount: { type: 'number', description: 'Shekels, rounded down; negative takes away' },
+        note: { type: 'string', maxLength: 200 },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const { amount, note } = req.body;
+      const status = adjustLinkSum(req.params.linkId, amount, note);
+      res.json({ success: true, ...status });
+    } catch (error) {
+      console.error('[admin/pay/adjust]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to adjust link sum',
+      });
+    }
+  },
+);
 
 export default router;
@@ -0,0 +1,161 @@
+import express from 'express';
+import { adminAuthRequired, requireAdminKey } from '../services/adminAuth.js';
+import {
+  deletePhoto,
+  getPhoto,
+  getPhotoUploadWindow,
+  listPhotos,
+  photoModeration,
+  readPhotoFile,
+  setPhotoStatus,
+  writeAlbumZip,
+} from '../services/photos.js';
+import { validateRequest } from '../services/requestValidation.js';
+
+const router = express.Router();
+
+router.use((_req, res, next) => {
+  res.set('Cache-Control', 'no-store, no-cache, must-revalidate, private');
+  next();
+});
+
+router.use(requireAdminKey);
+
+const PHOTO_ID = { type: 'string', pattern: '^[0-9a-f-]{36}$' };
+
+/**
+ * GET /api/admin/photos?status=pending|approved|rejected
+ * Every photo (newest first) with the guest who uploaded it, counts per status, and the
+ * moderation mode and upload window
+ */
+router.get(
+  '/',
+  validateRequest({
+    summary: 'Uploaded photos for moderation',
+    query: { properties: { status: { enum: ['pending', 'approved', 'rejected'] } } },
+  }),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        ...listPhotos({ status: req.query.status }),
+        moderation: photoModeration(),
+        uploads: getPhotoUploadWindow(),
+        authRequired: adminAuthRequired(),
+      });
+    } catch (error) {
+      console.error('[admin/photos]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to load photos',
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/admin/photos/album.zip
+ * The approved photos, full size, as one download
+ */
+router.get('/album.zip', validateRequest({ summary: 'Download the approved photos as a ZIP' }), async (_req, res) => {
+  try {
+    res.set('Content-Type', 'application/zip');
+    res.set('Content-Disposition', 'attachment; filename="album.zip"');
+    await writeAlbumZip(res);
+  } catch (error) {
+    console.error('[admin/photos/album.zip]', error);
+    if (res.headersSent) {
+      // Part of the ZIP is out; cutting the connection makes the browser report a failed download
+      res.destroy(error);
+      return;
+    }
+    res.set('Content-Disposition', 'inline');
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to build the album',
+    });
+  }
+});
+
+/**
+ * GET /api/admin/photos/:id/thumb and /api/admin/photos/:id/full
+ * Any photo's JPEG, whatever its status (`?key=` for <img> tags when ADMIN_API_KEY is set)
+ */
+router.get(
+  '/:id/:size(thumb|full)',
+  validateRequest({
+    summary: 'A photo or its thumbnail',
+    params: { properties: { id: PHOTO_ID, size: { enum: ['thumb', 'full'] } } },
+    query: { properties: { key: { type: 'string', description: 'ADMIN_API_KEY' } } },
+  }),
+  async (req, res) => {
+    try {
+      const data = await readPhotoFile(getPhoto(req.params.id), req.params.size);
+      res.set('Content-Type', 'image/jpeg');
+      res.send(data);
+    } catch (error) {
+      if (!error.status || error.status >= 500) {
+        console.error('[admin/photos]', error);
+      }
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to load the photo',
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/admin/photos/:id/approve — show it in the shared album
+ * POST /api/admin/photos/:id/reject — hide it (it stops counting to the guest's quota)
+ */
+router.post(
+  '/:id/:decision(approve|reject)',
+  validateRequest({
+    summary: 'Approve or hide a photo',
+    params: {
+      properties: {
+        id: PHOTO_ID,
+        decision: { enum: ['approve', 'reject'] },
+      },
+    },
+  }),
+  (req, res) => {
+    try {
+      const photo = setPhotoStatus(req.params.id, req.params.decision === 'approve' ? 'approved' : 'rejected');
+      res.json({ success: true, photo });
+    } catch (error) {
+      console.error('[admin/photos]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to update the photo',
+      });
+    }
+  },
+);
+
+/**
+ * DELETE /api/admin/photos/:id
+ * Removes the photo and its files for good
+ */
+router.delete(
+  '/:id',
+  validateRequest({
+    summary: 'Delete a photo',
+    params: { properties: { id: PHOTO_ID } },
+  }),
+  async (req, res) => {
+    try {
+      await deletePhoto(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      console.error('[admin/photos]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to delete the photo',
+      });
+    }
+  },
+);
+
+export default router;
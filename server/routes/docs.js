@@ -0,0 +1,129 @@
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const packageJson = JSON.parse(fs.readFileSync(path.join(__dirname, '..', '..', 'package.json'), 'utf8'));
+
+const VALIDATION_ERROR = {
+  description: 'The request does not fit the schema',
+  content: {
+    'application/json': {
+      schema: {
+        type: 'object',
+        properties: {
+          success: { const: false },
+          error: { type: 'string', description: 'The first problem, e.g. "body.guests[0].phone is required"' },
+          errors: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { path: { type: 'string' }, message: { type: 'string' } },
+            },
+          },
+        },
+      },
+    },
+  },
+};
+
+/** `/rsvp-requests/:id/:decision(approve|reject)` → `/rsvp-requests/{id}/{decision}` */
+function openApiPath(mountPath, routePath) {
+  const full = `${mountPath}${routePath === '/' ? '' : routePath}`;
+  return full.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+}
+
+function parameters(location, schema) {
+  const required = new Set(schema?.required || []);
+  return Object.entries(schema?.properties || {}).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || required.has(name),
+      ...(description ? { description } : {}),
+      schema: rest,
+    };
+  });
+}
+
+/**
+ * One OpenAPI operation per route; routes without validateRequest() are listed with no details.
+ * @param {import('../services/requestValidation.js').RequestSpec | undefined} spec
+ */
+function operation(spec) {
+  if (!spec) {
+    return { responses: { 200: { description: 'Success' } } };
+  }
+  const params = [...parameters('path', spec.params), ...parameters('query', spec.query)];
+  let requestBody;
+  if (spec.contentType) {
+    requestBody = { required: true, content: { [spec.contentType]: { schema: { type: 'string', format: 'binary' } } } };
+  } else if (spec.body) {
+    requestBody = {
+      required: Boolean(spec.body.required?.length),
+      content: { 'application/json': { schema: { type: 'object', ...spec.body } } },
+    };
+  }
+  return {
+    summary: spec.summary,
+    ...(spec.description ? { description: spec.description } : {}),
+    ...(params.length ? { parameters: params } : {}),
+    ...(requestBody ? { requestBody } : {}),
+    responses: {
+      200: { description: 'Success' },
+      ...(params.length || spec.body ? { 400: VALIDATION_ERROR } : {}),
+    },
+  };
+}
+
+/**
+ * OpenAPI 3.1 document for the mounted routers, from the specs their routes pass to validateRequest().
+ * @param {Array<[string, import('express').Router]>} mounts mount path and router, as in app.js
+ */
+export function buildApiDocs(mounts) {
+  const paths = {};
+  for (const [mountPath, router] of mounts) {
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        continue;
+      }
+      const spec = layer.route.stack.map((l) => l.handle.requestSpec).find(Boolean);
+      const key = openApiPath(mountPath, layer.route.path);
+      for (const method of Object.keys(layer.route.methods)) {
+        paths[key] = { ...paths[key], [method]: operation(spec) };
+      }
+    }
+  }
+  return {
+    openapi: '3.1.0',
+    info: { title: `${packageJson.name} API`, version: packageJson.version },
+    paths,
+  };
+}
+
+/**
+ * GET /api/docs — the API as an OpenAPI document (JSON), generated from the same schemas that
+ * validate requests, so it cannot drift from what the routes accept.
+ * @param {Array<[string, import('express').Router]>} mounts
+ */
+export default function docsRouter(mounts) {
+  const router = express.Router();
+  let docs = null;
+
+  router.get('/', (_req, res) => {
+    try {
+      docs = docs || buildApiDocs(mounts);
+      res.json(docs);
+    } catch (error) {
+      console.error('[docs]', error);
+      res.status(500).json({
+        success: false,
+        error: error.message || 'Failed to build the API docs',
+      });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,56 @@
+import express from 'express';
+import { findEvent, publicEventConfig } from '../config/event.js';
+import { validateRequest } from '../services/requestValidation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/event
+ * Couple and every event: id, title, start/end (ISO, null until set), venue (address, Waze /
+ * Google Maps links, null when not given) and whether it has an image; names and addresses may be
+ * per language ({ he, en, ru }). The landing page takes the guest's own events from /api/rsvp.
+ */
+router.get('/', validateRequest({ summary: 'The couple and every event' }), (_req, res) => {
+  try {
+    res.json({ success: true, event: publicEventConfig() });
+  } catch (error) {
+    console.error('[event]', error);
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message || 'Failed to load the event',
+    });
+  }
+});
+
+/**
+ * GET /api/event/:id/image
+ * The event's invitation image (404 when it has none; the landing page keeps /wedding.jpg)
+ */
+router.get(
+  '/:id/image',
+  validateRequest({
+    summary: 'The event\'s invitation image',
+    params: { properties: { id: { type: 'string' } } },
+  }),
+  (req, res) => {
+    try {
+      const event = findEvent(req.params.id);
+      if (!event.image) {
+        return res.status(404).json({ success: false, error: 'This event has no image' });
+      }
+      res.sendFile(event.image);
+    } catch (error) {
+      // An unknown id is a missing image, not a bad request
+      const status = error.status === 400 ? 404 : error.status || 500;
+      if (status >= 500) {
+        console.error('[event]', error);
+      }
+      res.status(status).json({
+        success: false,
+        error: error.message || 'Failed to load the image',
+      });
+    }
+  },
+);
+
+export default router;
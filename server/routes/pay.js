@@ -1,5 +1,8 @@
 import express from 'express';
+import { checkoutGuestLimit, checkoutIpLimit } from '../services/abuseProtection.js';
+import { resolveInviteGuest } from '../services/inviteTokens.js';
 import { getPaymentStatus, recordGiftAndGetLink } from '../services/paymentRouting.js';
+import { validateRequest } from '../services/requestValidation.js';
 
 const router = express.Router();
 
@@ -11,7 +14,7 @@ router.use((_req, res, next) => {
 /**
  * GET /api/pay/status — public snapshot for the gift UI (no history).
  */
-router.get('/status', (_req, res) => {
+router.get('/status', validateRequest({ summary: 'The active gift payment link' }), (_req, res) => {
   try {
     const status = getPaymentStatus();
     res.json({
@@ -32,28 +35,49 @@ router.get('/status', (_req, res) => {
 
 /**
  * POST /api/pay/checkout
- * Body: { amount, guestPhone?, guestName? }
- * Records amount against the currently active link and returns its URL.
+ * Body: { amount, token } — token from the guest's invitation link (or guestPhone with ALLOW_PHONE_LINKS=true)
+ * Records amount against the currently active link, noted with the guest it resolves to, and returns its URL.
+ * Rate-limited per IP and per guest (429, see abuseProtection.js), since every call adds to the link's sum.
  */
-router.post('/checkout', (req, res) => {
-  try {
-    const { amount, guestPhone, guestName } = req.body || {};
-    const result = recordGiftAndGetLink(amount, { guestPhone, guestName });
-    res.json({
-      success: true,
-      url: result.url,
-      linkId: result.linkId,
-      label: result.label,
-      provider: result.provider,
-      amount: result.amount,
-    });
-  } catch (error) {
-    console.error('[pay/checkout]', error);
-    res.status(error.status || 500).json({
-      success: false,
-      error: error.message || 'Failed to start payment',
-    });
-  }
-});
+router.post(
+  '/checkout',
+  checkoutIpLimit,
+  checkoutGuestLimit,
+  validateRequest({
+    summary: 'Record a gift and get the payment link to open',
+    body: {
+      required: ['amount'],
+      properties: {
+        amount: { type: 'number', minimum: 1, description: 'Shekels; rounded down' },
+        token: { type: 'string', description: 'Token from the invitation link' },
+        guestPhone: { type: 'string', description: 'Legacy phone link (ALLOW_PHONE_LINKS=true only)' },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const { amount, token, guestPhone } = req.body || {};
+      const guest = await resolveInviteGuest({ token, phone: guestPhone });
+      const result = recordGiftAndGetLink(amount, {
+        guestPhone: guest.phoneKey || guest.phoneTo,
+        guestName: guest.fullName || guest.name,
+      });
+      res.json({
+        success: true,
+        url: result.url,
+        linkId: result.linkId,
+        label: result.label,
+        provider: result.provider,
+        amount: result.amount,
+      });
+    } catch (error) {
+      console.error('[pay/checkout]', error);
+      res.status(error.status || 500).json({
+        success: false,
+        error: error.message || 'Failed to start payment',
+      });
+    }
+  },
+);
 
 export default router;
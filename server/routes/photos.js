@@ -0,0 +1,155 @@
+import express from 'express';
+import { photoGuestLimit, photoIpLimit } from '../services/abuseProtection.js';
+import { resolveInviteGuest } from '../services/inviteTokens.js';
+import {
+  addGuestPhoto,
+  deletePhoto,
+  getAlbumPhotos,
+  getGuestPhotos,
+  getPhoto,
+  getPhotoUploadWindow,
+  photoMaxBytes,
+  photoModeration,
+  publicPhoto,
+  readPhotoFile,
+} from '../services/photos.js';
+import { validateRequest } from '../services/requestValidation.js';
+
+const router = express.Router();
+
+const GUEST_LINK_QUERY = {
+  properties: {
+    t: { type: 'string', description: 'Token from the invitation link' },
+    phone: { type: 'string', description: 'Legacy phone link (ALLOW_PHONE_LINKS=true only)' },
+  },
+};
+
+const PHOTO_ID = { type: 'string', pattern: '^[0-9a-f-]{36}$' };
+
+/** Same guest lookup as the RSVP page: 401 invalid link, 410 expired, 404 not on the list. */
+function photoGuest(req) {
+  return resolveInviteGuest({ token: req.query.t, phone: req.query.phone });
+}
+
+function sendPhotoError(res, error, fallback) {
+  if (!error.status || error.status >= 500) {
+    console.error('[photos]', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status && error.status < 500 ? error.message : fallback,
+    ...(error.opensAt ? { opensAt: error.opensAt } : {}),
+  });
+}
+
+/**
+ * GET /api/photos?t=…
+ * The shared album (approved photos) and the guest's own uploads with their status, how many more
+ * they may add (`quota`), and whether uploads are open yet (`uploads.opensAt`)
+ */
+router.get(
+  '/',
+  validateRequest({ summary: 'The shared album and the guest\'s own uploads', query: GUEST_LINK_QUERY }),
+  async (req, res) => {
+    try {
+      const guest = await photoGuest(req);
+      const own = guest.phoneKey ? getGuestPhotos(guest.phoneKey) : { items: [], quota: null };
+      res.json({
+        success: true,
+        uploads: { ...getPhotoUploadWindow(), moderation: photoModeration() },
+        quota: own.quota,
+        mine: own.items.map((photo) => publicPhoto(photo, true)),
+        album: getAlbumPhotos().map((photo) => publicPhoto(photo)),
+      });
+    } catch (error) {
+      sendPhotoError(res, error, 'Failed to load the album');
+    }
+  },
+);
+
+/**
+ * POST /api/photos?t=…
+ * Body: the image itself (Content-Type: image/jpeg, image/png, …, up to PHOTO_MAX_MB).
+ * Stored resized with a thumbnail (see photos.js); with PHOTO_MODERATION=pre it is `pending` until
+ * an admin approves it. 403 before uploads open (with `opensAt`) or over the guest's quota, 400 for
+ * a file that is not a photo, 413 when too large, 429 after too many uploads in a row.
+ */
+router.post(
+  '/',
+  photoIpLimit,
+  photoGuestLimit,
+  express.raw({ type: 'image/*', limit: photoMaxBytes() }),
+  validateRequest({
+    summary: 'Upload a photo to the album',
+    contentType: 'image/*',
+    query: GUEST_LINK_QUERY,
+  }),
+  async (req, res) => {
+    try {
+      const guest = await photoGuest(req);
+      const photo = await addGuestPhoto(guest, req.body);
+      res.status(201).json({
+        success: true,
+        photo: publicPhoto(photo, true),
+        quota: getGuestPhotos(guest.phoneKey).quota,
+      });
+    } catch (error) {
+      sendPhotoError(res, error, 'Failed to upload the photo');
+    }
+  },
+);
+
+/**
+ * GET /api/photos/:id/thumb?t=… and /api/photos/:id/full?t=…
+ * The JPEG of an approved photo, or of one of the guest's own uploads (404 otherwise)
+ */
+router.get(
+  '/:id/:size(thumb|full)',
+  validateRequest({
+    summary: 'A photo or its thumbnail',
+    params: { properties: { id: PHOTO_ID, size: { enum: ['thumb', 'full'] } } },
+    query: GUEST_LINK_QUERY,
+  }),
+  async (req, res) => {
+    try {
+      const guest = await photoGuest(req);
+      const photo = getPhoto(req.params.id);
+      if (photo.status !== 'approved' && photo.guestPhone !== guest.phoneKey) {
+        return res.status(404).json({ success: false, error: 'Photo not found' });
+      }
+      const data = await readPhotoFile(photo, req.params.size);
+      res.set('Content-Type', 'image/jpeg');
+      res.set('Cache-Control', 'private, max-age=86400');
+      res.send(data);
+    } catch (error) {
+      sendPhotoError(res, error, 'Failed to load the photo');
+    }
+  },
+);
+
+/**
+ * DELETE /api/photos/:id?t=…
+ * The guest removes one of their own uploads (404 for anyone else's); it no longer counts to the quota
+ */
+router.delete(
+  '/:id',
+  validateRequest({
+    summary: 'Delete one of the guest\'s own photos',
+    params: { properties: { id: PHOTO_ID } },
+    query: GUEST_LINK_QUERY,
+  }),
+  async (req, res) => {
+    try {
+      const guest = await photoGuest(req);
+      if (!guest.phoneKey) {
+        return res.status(404).json({ success: false, error: 'Photo not found' });
+      }
+      await deletePhoto(req.params.id, guest.phoneKey);
+      res.json({ success: true, quota: getGuestPhotos(guest.phoneKey).quota });
+    } catch (error) {
+      sendPhotoError(res, error, 'Failed to delete the photo');
+    }
+  },
+);
+
+export default router;
@@ -1,169 +1,450 @@
 import express from 'express';
-import { envGuestSheetId, envResponseSheetId } from '../config/loadEnv.js';
-import { saveRSVPResponse, initializeResponseSheet } from '../services/googleSheets.js';
+import { findEvent, getEvents, publicEvent } from '../config/event.js';
+import { envResponseSheetId } from '../config/loadEnv.js';
+import { publicRSVPQuestions } from '../config/rsvpQuestions.js';
+import { rejectHoneypot, rsvpGuestLimit, rsvpIpLimit } from '../services/abuseProtection.js';
+import { buildGuestICS, getCalendarEvent, googleCalendarUrl } from '../services/calendar.js';
+import { getRSVPResponseByPhone } from '../services/storage.js';
+import { resolveInviteGuest } from '../services/inviteTokens.js';
+import { resolveAttendees } from '../services/party.js';
+import { validateRSVPAnswers } from '../services/rsvpAnswers.js';
+import { findPendingRSVPRequest, getRSVPWindow, recordRSVPRequest } from '../services/rsvpDeadline.js';
+import { enqueueRSVP, findQueuedRSVP } from '../services/rsvpQueue.js';
+import { validateRequest } from '../services/requestValidation.js';
+import { seatLimitFor, seatLimitRejects } from '../services/seats.js';
+import { toE164 } from '../services/phone.js';
 
 const router = express.Router();
 
+// Every route here is public: one IP gets a fixed number of requests per window (429 after that)
+router.use(rsvpIpLimit);
+
+const GUEST_LINK_QUERY = {
+  t: { type: 'string', description: 'Token from the invitation link' },
+  phone: { type: 'string', description: 'Legacy phone link (ALLOW_PHONE_LINKS=true only)' },
+};
+
+const CALENDAR_REQUEST = {
+  query: {
+    properties: {
+      ...GUEST_LINK_QUERY,
+      event: { type: 'string', description: 'Event id (default: the guest\'s first event)' },
+      lang: { type: 'string', description: 'he, en or ru (default: the guest\'s language)' },
+    },
+  },
+};
+
 /**
  * POST /api/rsvp
  * Handle RSVP submission
- * Body: { name, phone, isAttending, numberOfGuests, numberOfBabies?, numberOfVegan?, additionalNotes? }
+ * Body: { token, eventId?, isAttending, numberOfGuests, numberOfBabies?, additionalNotes?, attendees?, answers? }
+ * token: the `t` from the guest's invitation link (see inviteTokens.js); name and phone are taken from
+ * the guest row it resolves to. With ALLOW_PHONE_LINKS=true, `phone` may be sent instead of a token.
+ * eventId: which event the answer is for (see config/event.js); default the guest's first event.
+ * 400 for an unknown event, 403 for one the guest is not invited to.
+ * attendees: names ticked from the guest's party (see GET /invite/:token); when sent, the headcount
+ * is the number of names and numberOfGuests is ignored.
+ * answers: the configured questions keyed by id (see config/rsvpQuestions.js); 400 when one does not
+ * fit its question. `numberOfVegan` from pages opened before the schema counts as `answers.vegan`.
+ * Success means the answer is journaled (see rsvpQueue.js); the sheet write happens in the background.
+ * After RSVP_DEADLINE: `pending: true` when the answer was kept for admin approval, 403 once closed.
+ * Above the guest's seat limit: 400, or `overLimit: true` with SEAT_LIMIT_MODE=flag (see seats.js).
+ * `calendar: true` on a "yes" once the event has a start date: the page may offer GET /calendar.ics and /calendar/google.
+ * `website` is the form's honeypot and must be empty (400 otherwise); 429 after too many answers for one guest.
  */
-router.post('/', async (req, res) => {
-  try {
-    const {
-      name,
-      phone,
-      isAttending,
-      numberOfGuests,
-      numberOfBabies,
-      numberOfVegan,
-      additionalNotes,
-    } = req.body;
-
-    // Validation
-    if (!name || !phone) {
-      return res.status(400).json({
-        success: false,
-        error: 'Name and phone number are required',
-      });
-    }
+router.post(
+  '/',
+  rejectHoneypot,
+  rsvpGuestLimit,
+  validateRequest({
+    summary: 'Submit or change an RSVP answer',
+    body: {
+      required: ['isAttending'],
+      properties: {
+        token: { type: 'string', description: 'Token from the invitation link' },
+        phone: { type: 'string', description: 'Legacy phone link (ALLOW_PHONE_LINKS=true only)' },
+        eventId: { type: 'string', description: 'Event id (default: the guest\'s first event)' },
+        isAttending: { type: 'boolean' },
+        numberOfGuests: { type: 'integer', minimum: 0, description: 'Required when attending without attendees' },
+        numberOfBabies: { type: 'integer', minimum: 0 },
+        numberOfVegan: { type: 'integer', minimum: 0, description: 'Pages from before the questions schema; read as answers.vegan' },
+        additionalNotes: { type: 'string', maxLength: 1000, description: 'Kept to the first 60 characters' },
+        attendees: { type: 'array', items: { type: 'string' }, description: 'Names from the guest\'s party' },
+        answers: { type: 'object', description: 'Answers to the form questions, keyed by question id' },
+        website: { type: 'string', description: 'Honeypot; must be empty' },
+      },
+    },
+  }),
+  async (req, res) => {
+    try {
+      const {
+        token,
+        phone,
+        eventId,
+        isAttending,
+        numberOfGuests,
+        numberOfBabies,
+        numberOfVegan,
+        additionalNotes,
+        attendees: attendeesInput,
+        answers: answersInput,
+      } = req.body;
 
-    if (typeof isAttending !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: 'isAttending must be a boolean',
-      });
-    }
+      // Types and ranges are checked by the schema above; these depend on the values
+      if (!token && phone && !toE164(phone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Phone number is not valid',
+        });
+      }
 
-    const guests = isAttending ? parseInt(numberOfGuests, 10) : 0;
-    if (isNaN(guests) || guests < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Number of guests must be a non-negative integer',
-      });
-    }
+      const rsvpWindow = getRSVPWindow();
+      if (rsvpWindow.state === 'closed') {
+        return res.status(403).json({
+          success: false,
+          error: 'RSVP is closed',
+          rsvpWindow,
+        });
+      }
 
-    if (isAttending && guests < 1) {
-      return res.status(400).json({
-        success: false,
-        error: 'Number of guests must be at least 1 when attending',
-      });
-    }
+      // Who is answering comes from the guest row the link resolves to, not from the request body
+      const guest = await resolveInviteGuest({ token, phone });
+      const name = guest.fullName || guest.name;
+      const event = guestEvent(guest, eventId);
 
-    const babies = isAttending ? parseInt(numberOfBabies, 10) || 0 : 0;
-    if (isNaN(babies) || babies < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Number of babies must be a non-negative integer',
-      });
-    }
+      let attendees = [];
+      if (isAttending && attendeesInput !== undefined) {
+        attendees = resolveAttendees(guest.party, attendeesInput);
+      }
 
-    const vegan = isAttending ? parseInt(numberOfVegan, 10) || 0 : 0;
-    if (isNaN(vegan) || vegan < 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Number of vegan/vegetarian guests must be a non-negative integer',
-      });
-    }
+      const guests = !isAttending ? 0 : attendeesInput !== undefined ? attendees.length : numberOfGuests ?? 0;
+      if (isAttending && guests < 1) {
+        return res.status(400).json({
+          success: false,
+          error: attendeesInput !== undefined
+            ? 'Choose at least one person who is coming'
+            : 'Number of guests must be at least 1 when attending',
+        });
+      }
 
-    let notes = isAttending && typeof additionalNotes === 'string'
-      ? additionalNotes.trim().slice(0, 60)
-      : '';
+      // Seat limit from the guest row or an admin exception (see seats.js); babies are not counted
+      const seatLimit = seatLimitFor(guest);
+      const overLimit = isAttending && seatLimit.allowed !== null && guests > seatLimit.allowed;
+      if (overLimit && seatLimitRejects(seatLimit)) {
+        return res.status(400).json({
+          success: false,
+          error: `This invitation is for up to ${seatLimit.allowed} guest(s)`,
+          allowedSeats: seatLimit.allowed,
+        });
+      }
+      if (overLimit) {
+        // Row number, not the phone: phones stay out of the logs (see abuseProtection.js)
+        console.warn(`RSVP over the seat limit: guest row ${guest.rowNumber} answered ${guests}, allowed ${seatLimit.allowed}`);
+      }
 
-    const responseSheetId = envResponseSheetId();
-    if (!responseSheetId) {
-      return res.status(500).json({
-        success: false,
-        error: 'Response sheet not configured',
-      });
-    }
+      const babies = isAttending ? numberOfBabies ?? 0 : 0;
 
-    // Initialize sheet headers if needed
-    await initializeResponseSheet(responseSheetId);
-
-    // Save RSVP response
-    await saveRSVPResponse(
-      responseSheetId,
-      name,
-      phone,
-      isAttending,
-      guests,
-      babies,
-      vegan,
-      notes
-    );
-
-    res.json({
-      success: true,
-      message: 'RSVP submitted successfully',
-    });
-  } catch (error) {
-    console.error('Error processing RSVP:', error);
+      const answers = isAttending
+        ? validateRSVPAnswers(answersInput ?? (numberOfVegan !== undefined ? { vegan: numberOfVegan } : undefined), {
+            guests,
+            babies,
+          })
+        : {};
+
+      const notes = isAttending && additionalNotes ? additionalNotes.trim().slice(0, 60) : '';
+
+      const responseSheetId = envResponseSheetId();
+      if (!responseSheetId) {
+        return res.status(500).json({
+          success: false,
+          error: 'Response sheet not configured',
+        });
+      }
+
+      const answer = {
+        isAttending,
+        numberOfGuests: guests,
+        numberOfBabies: babies,
+        additionalNotes: notes,
+        attendees,
+        answers,
+      };
+      const response = { eventId: event.id, name, phone: guest.phoneKey || guest.phoneTo, ...answer };
+
+      // After the deadline, answers wait for an admin (see rsvpDeadline.js)
+      if (rsvpWindow.state === 'approval') {
+        const previous = await currentResponse(guest, event.id);
+        const request = recordRSVPRequest(
+          responseSheetId,
+          response,
+          previous && { isAttending: previous.isAttending, numberOfGuests: previous.numberOfGuests },
+        );
+        return res.json({
+          success: true,
+          pending: true,
+          ...(overLimit ? { overLimit: true } : {}),
+          message: 'RSVP change sent for approval',
+          pendingRequest: { ...answer, requestedAt: request.requestedAt },
+        });
+      }
+
+      // Journal the answer; the queue worker writes it to the sheet (and retries if Sheets is down)
+      const queued = enqueueRSVP(responseSheetId, response);
+
+      res.json({
+        success: true,
+        message: 'RSVP submitted successfully',
+        ...(overLimit ? { overLimit: true } : {}),
+        ...(isAttending && getCalendarEvent(event.id) ? { calendar: true } : {}),
+        response: { ...answer, submittedAt: queued.submittedAt },
+      });
+    } catch (error) {
+      console.error('Error processing RSVP:', error);
+    
+      // Handle permission errors specifically
+      if (error.code === 'PERMISSION_DENIED' || error.message?.includes('Permission denied')) {
+        const serviceAccountEmail = error.serviceAccountEmail || 'your-service-account@project.iam.gserviceaccount.com';
+        return res.status(403).json({
+          success: false,
+          error: error.message || 'Permission denied. Please ensure the service account has access to the response sheet.',
+          details: serviceAccountEmail ? {
+            serviceAccountEmail,
+            instructions: `To fix this:\n1. Open your Google Sheet (ID: ${envResponseSheetId()})\n2. Click the "Share" button\n3. Add this email: ${serviceAccountEmail}\n4. Give it "Editor" permissions\n5. Click "Send"`
+          } : null
+        });
+      }
     
-    // Handle permission errors specifically
-    if (error.code === 'PERMISSION_DENIED' || error.message?.includes('Permission denied')) {
-      const serviceAccountEmail = error.serviceAccountEmail || 'your-service-account@project.iam.gserviceaccount.com';
-      return res.status(403).json({
+      // Handle other errors
+      res.status(error.status || 500).json({
         success: false,
-        error: error.message || 'Permission denied. Please ensure the service account has access to the response sheet.',
-        details: serviceAccountEmail ? {
-          serviceAccountEmail,
-          instructions: `To fix this:\n1. Open your Google Sheet (ID: ${envResponseSheetId()})\n2. Click the "Share" button\n3. Add this email: ${serviceAccountEmail}\n4. Give it "Editor" permissions\n5. Click "Send"`
-        } : null
+        error: error.message || 'Failed to process RSVP. Please try again later.',
       });
     }
-    
-    // Handle other errors
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to process RSVP. Please try again later.',
-    });
+  },
+);
+
+/**
+ * The event an answer or calendar link is for: `eventId` when given, else the guest's first event.
+ * @throws 400 unknown event, 403 the guest is not invited to it (or to any event)
+ */
+function guestEvent(guest, eventId) {
+  const event = findEvent(eventId || guest.events[0]);
+  if (!guest.events.includes(event.id)) {
+    throw Object.assign(new Error('This invitation is not for this event'), { status: 403 });
   }
-});
+  return event;
+}
 
 /**
- * GET /api/rsvp/guest/:phone
- * Get guest information by phone number for auto-filling the form
+ * The guest's current answer for the event, for pre-filling the form: an unsent answer from the
+ * queue first, then their row on the event's response tab. null when they have not answered
+ * (or the sheet can't be read).
  */
-router.get('/guest/:phone', async (req, res) => {
+async function currentResponse(guest, eventId) {
+  const responseSheetId = envResponseSheetId();
+  if (!responseSheetId || !guest.phoneKey) {
+    return null;
+  }
+
+  const queued = findQueuedRSVP(responseSheetId, guest.phoneKey, eventId);
+  if (queued) {
+    const r = queued.response;
+    return {
+      isAttending: r.isAttending,
+      numberOfGuests: r.numberOfGuests,
+      numberOfBabies: r.numberOfBabies || 0,
+      additionalNotes: r.additionalNotes || '',
+      attendees: r.attendees || [],
+      answers: r.answers || (r.numberOfVegan ? { vegan: r.numberOfVegan } : {}),
+      submittedAt: queued.submittedAt,
+    };
+  }
+
   try {
-    const { phone } = req.params;
-    const guestSheetId = envGuestSheetId();
+    const row = await getRSVPResponseByPhone(responseSheetId, guest.phoneKey, eventId);
+    if (!row || (row.status !== 'Yes' && row.status !== 'No')) {
+      return null;
+    }
+    return {
+      isAttending: row.status === 'Yes',
+      numberOfGuests: row.numberOfGuests,
+      numberOfBabies: row.numberOfBabies,
+      additionalNotes: row.additionalNotes,
+      attendees: row.attendees ? row.attendees.split(', ') : [],
+      answers: row.answers,
+      submittedAt: row.timestamp,
+    };
+  } catch (error) {
+    // The form still works without the previous answer
+    console.warn('Could not read previous RSVP:', error.message);
+    return null;
+  }
+}
 
-    if (!guestSheetId) {
-      return res.status(500).json({
-        success: false,
-        error: 'Guest sheet not configured',
+/** A late answer for the event still waiting for admin approval, in the same shape as `response`. */
+function pendingRequestOf(guest, eventId) {
+  const responseSheetId = envResponseSheetId();
+  const request = responseSheetId && guest.phoneKey ? findPendingRSVPRequest(responseSheetId, guest.phoneKey, eventId) : null;
+  if (!request) {
+    return null;
+  }
+  const { eventId: _eventId, name: _name, phone: _phone, ...answer } = request.response;
+  return { ...answer, requestedAt: request.requestedAt };
+}
+
+/**
+ * What the landing page may show about the guest it was opened for.
+ * @throws 404 when the guest is not invited to any event
+ */
+async function publicGuest(guest) {
+  const events = getEvents().filter((event) => guest.events.includes(event.id));
+  if (!events.length) {
+    throw Object.assign(new Error('Guest not found'), { status: 404 });
+  }
+  return {
+    name: guest.fullName || guest.name, // Use full name (first + last)
+    phone: guest.phoneTo,
+    addons: guest.addons,
+    party: guest.party,
+    /** Most people this guest may register (null: no limit) */
+    allowedSeats: seatLimitFor(guest).allowed,
+    /** From the guest tab's language column (null: the page follows the browser) */
+    language: guest.language,
+    /** Only the events this guest is invited to, each with their current answer and late change */
+    events: await Promise.all(
+      events.map(async (event) => ({
+        ...publicEvent(event),
+        response: await currentResponse(guest, event.id),
+        pendingRequest: pendingRequestOf(guest, event.id),
+      })),
+    ),
+  };
+}
+
+function sendGuestError(res, error) {
+  if (error.code === 'AMBIGUOUS_PHONE') {
+    return res.status(409).json({
+      success: false,
+      error: 'This phone number belongs to more than one guest. Please contact us directly.',
+    });
+  }
+  if (!error.status || error.status >= 500) {
+    console.error('Error fetching guest:', error);
+  }
+  res.status(error.status || 500).json({
+    success: false,
+    error: error.status && error.status < 500 ? error.message : 'Failed to fetch guest information',
+  });
+}
+
+/**
+ * GET /api/rsvp/invite/:token
+ * Guest behind a signed invitation link (401 invalid, 410 expired, 404 no longer on the list or not
+ * invited to any event), with the events they are invited to in `guest.events` — each with their
+ * current answer in `response` (null if they have not answered yet) and a late change awaiting
+ * approval in `pendingRequest` — whether answers are accepted in `rsvpWindow`, and the form's
+ * extra questions in `questions`
+ */
+router.get(
+  '/invite/:token',
+  validateRequest({
+    summary: 'The guest behind an invitation link, with their events and answers',
+    params: { properties: { token: { type: 'string', minLength: 1 } } },
+  }),
+  async (req, res) => {
+    try {
+      const guest = await resolveInviteGuest({ token: req.params.token });
+      res.json({
+        success: true,
+        guest: await publicGuest(guest),
+        rsvpWindow: getRSVPWindow(),
+        questions: publicRSVPQuestions(),
       });
+    } catch (error) {
+      sendGuestError(res, error);
     }
+  },
+);
 
-    const { getGuestByPhone } = await import('../services/googleSheets.js');
-    const guest = await getGuestByPhone(guestSheetId, phone);
-
-    if (!guest) {
-      return res.status(404).json({
-        success: false,
-        error: 'Guest not found',
+/**
+ * GET /api/rsvp/guest/:phone
+ * Legacy `?phone=` links; answers 401 unless ALLOW_PHONE_LINKS=true
+ */
+router.get(
+  '/guest/:phone',
+  validateRequest({
+    summary: 'The guest behind a legacy phone link (ALLOW_PHONE_LINKS=true only)',
+    params: { properties: { phone: { type: 'string', minLength: 1 } } },
+  }),
+  async (req, res) => {
+    try {
+      const guest = await resolveInviteGuest({ phone: req.params.phone });
+      res.json({
+        success: true,
+        guest: await publicGuest(guest),
+        rsvpWindow: getRSVPWindow(),
+        questions: publicRSVPQuestions(),
       });
+    } catch (error) {
+      sendGuestError(res, error);
     }
+  },
+);
 
-    res.json({
-      success: true,
-      guest: {
-        name: guest.fullName || guest.name, // Use full name (first + last)
-        phone: guest.phoneTo,
-        addons: guest.addons,
-      },
-    });
-  } catch (error) {
-    console.error('Error fetching guest:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch guest information',
-    });
+/**
+ * The event (`?event=`, default the guest's first) and the guest behind `?t=` (or `?phone=` with
+ * ALLOW_PHONE_LINKS), for a guest whose current answer to it is "yes". 404 until the event has a
+ * start date, 403 for anyone else.
+ */
+async function calendarGuest(req) {
+  const { t, phone, event: eventId } = req.query;
+  const guest = await resolveInviteGuest({ token: t, phone });
+  const event = getCalendarEvent(guestEvent(guest, eventId).id);
+  if (!event) {
+    throw Object.assign(new Error('The event date is not set yet'), { status: 404 });
+  }
+  const response = await currentResponse(guest, event.id);
+  if (!response?.isAttending) {
+    throw Object.assign(new Error('Add to calendar is available after you RSVP yes'), { status: 403 });
   }
-});
+  return { event, guest, numberOfGuests: response.numberOfGuests };
+}
+
+/**
+ * GET /api/rsvp/calendar.ics?t=…&event=…&lang=…
+ * The guest's calendar file: event time, venue, their headcount and link, and reminder alarms
+ */
+router.get(
+  '/calendar.ics',
+  validateRequest({ summary: 'The guest\'s .ics calendar file for an event they said yes to', ...CALENDAR_REQUEST }),
+  async (req, res) => {
+    try {
+      const { event, guest, numberOfGuests } = await calendarGuest(req);
+      res.set('Content-Type', 'text/calendar; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${event.id}.ics"`);
+      res.send(buildGuestICS(event, guest, numberOfGuests, req.query.lang || guest.language));
+    } catch (error) {
+      sendGuestError(res, error);
+    }
+  },
+);
+
+/**
+ * GET /api/rsvp/calendar/google?t=…&event=…&lang=…
+ * Redirects to Google Calendar's "add event" page, pre-filled like the .ics
+ */
+router.get(
+  '/calendar/google',
+  validateRequest({ summary: 'Redirect to Google Calendar with the guest\'s event', ...CALENDAR_REQUEST }),
+  async (req, res) => {
+    try {
+      const { event, guest, numberOfGuests } = await calendarGuest(req);
+      res.redirect(googleCalendarUrl(event, guest, numberOfGuests, req.query.lang || guest.language));
+    } catch (error) {
+      sendGuestError(res, error);
+    }
+  },
+);
 
 export default router;
 
@@ -0,0 +1,240 @@
+/**
+ * Abuse protection for the public routes (RSVP, guest lookups, gift checkout, photo uploads).
+ *
+ * - Rate limits per client IP and per guest (the phone a valid invitation link resolves to), as
+ *   Express middleware.
+ *   Counts live in memory by default; setRateLimitStore() plugs in a shared store (e.g. Redis)
+ *   when the app runs on more than one instance.
+ * - A honeypot field on the RSVP form: people never see it, form-filling bots do.
+ * - Blocked requests answer 429 (rate limit) or 400 (honeypot) and are logged with the client IP.
+ *
+ * Request body size is capped in app.js (PUBLIC_BODY_LIMIT).
+ *
+ * Environment (optional; 0 turns a limit off):
+ * - RATE_LIMIT_RSVP_IP — guest page, calendar and RSVP requests per IP per 10 minutes (default 60).
+ * - RATE_LIMIT_RSVP_GUEST — RSVP submissions per guest per 10 minutes (default 10).
+ * - RATE_LIMIT_CHECKOUT_IP — gift checkouts per IP per 10 minutes (default 10).
+ * - RATE_LIMIT_CHECKOUT_GUEST — gift checkouts per guest per hour (default 5).
+ * - RATE_LIMIT_PHOTO_IP — photo uploads per IP per 10 minutes (default 60).
+ * - RATE_LIMIT_PHOTO_GUEST — photo uploads per guest per 10 minutes (default 20).
+ */
+
+import crypto from 'crypto';
+import { phoneLinksAllowed, verifyInviteToken } from './inviteTokens.js';
+import { toE164 } from './phone.js';
+
+/** Form field that must stay empty (see the RSVP form in public/index.html). */
+export const HONEYPOT_FIELD = 'website';
+
+const TEN_MINUTES_MS = 10 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * @typedef {object} RateLimitStore
+ * @property {(key: string, windowMs: number) => Promise<{ count: number, resetAt: number }>} hit
+ *   counts one request for `key` in its current fixed window (which starts on the first hit)
+ */
+
+/**
+ * In-process counters; expired windows are dropped once a minute.
+ * @returns {RateLimitStore}
+ */
+export function createMemoryRateLimitStore() {
+  /** @type {Map<string, { count: number, resetAt: number }>} */
+  const windows = new Map();
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of windows) {
+      if (entry.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+  };
+}
+
+/** @type {RateLimitStore | null} */
+let store = null;
+
+/** Replace the counter store (call before the server starts taking requests). */
+export function setRateLimitStore(next) {
+  store = next;
+}
+
+function getStore() {
+  if (!store) {
+    store = createMemoryRateLimitStore();
+  }
+  return store;
+}
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/** Logged instead of the raw token or phone, which are enough to open the guest's page. */
+function shortHash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 10);
+}
+
+/** One warning line per blocked request, with the client IP (no tokens or phones). */
+export function logBlocked(req, reason) {
+  const route = req.originalUrl.split('?')[0].replace(/\/(invite|guest)\/[^/]+/, '/$1/…');
+  console.warn(`[abuse] blocked ${req.method} ${route} from ${req.ip}: ${reason}`);
+}
+
+/** Client IP as Express sees it (set TRUST_PROXY behind a proxy, see app.js). */
+export function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * The guest a request is for: the E.164 phone of a valid invitation token, or of the phone in a
+ * legacy link (ALLOW_PHONE_LINKS only), from the body, params or query. Both links of one guest
+ * share a bucket. null for no guest or a token that does not verify (the per-IP limit still
+ * applies), so made-up tokens cannot open fresh buckets.
+ */
+export function guestKey(req) {
+  // Photo uploads carry the image as a Buffer body
+  const body = Buffer.isBuffer(req.body) ? {} : req.body;
+  const source = { ...req.query, ...req.params, ...body };
+  const token = source.token || source.t;
+  let phone = null;
+  if (typeof token === 'string' && token) {
+    try {
+      phone = verifyInviteToken(token).phone;
+    } catch {
+      return null;
+    }
+  } else if (phoneLinksAllowed()) {
+    phone = source.phone || source.guestPhone;
+  }
+  const e164 = typeof phone === 'string' ? toE164(phone) : null;
+  return e164 ? `p:${e164}` : null;
+}
+
+/**
+ * Rate-limit middleware: at most `limit` requests per key per window, then 429 with Retry-After.
+ * A store failure lets the request through (logged) rather than taking the RSVP page down.
+ * @param {object} options
+ * @param {string} options.name counter namespace, also shown in the log
+ * @param {string} options.limitEnv environment variable that overrides `limit`
+ * @param {number} options.limit default requests per window; 0 turns the limit off
+ * @param {number} options.windowMs
+ * @param {(req: import('express').Request) => string | null} options.key null skips the request
+ */
+export function rateLimit({ name, limitEnv, limit, windowMs, key }) {
+  return async (req, res, next) => {
+    const max = intEnv(limitEnv, limit);
+    const id = max > 0 ? key(req) : null;
+    if (!id) {
+      return next();
+    }
+    let result;
+    try {
+      result = await getStore().hit(`${name}:${id}`, windowMs);
+    } catch (error) {
+      console.error(`[abuse] rate limit store failed (${name}); letting the request through`, error);
+      return next();
+    }
+    if (result.count <= max) {
+      return next();
+    }
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    if (result.count === max + 1) {
+      // One line per key and window, not one per rejected request
+      logBlocked(req, `${name} over ${max} per ${Math.round(windowMs / 60000)} min (key ${shortHash(id)})`);
+    }
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests, please try again later',
+      retryAfter,
+    });
+  };
+}
+
+/** Guest page, calendar and RSVP requests from one IP. */
+export const rsvpIpLimit = rateLimit({
+  name: 'rsvp-ip',
+  limitEnv: 'RATE_LIMIT_RSVP_IP',
+  limit: 60,
+  windowMs: TEN_MINUTES_MS,
+  key: clientIp,
+});
+
+/** RSVP submissions for one guest, from any IP. */
+export const rsvpGuestLimit = rateLimit({
+  name: 'rsvp-guest',
+  limitEnv: 'RATE_LIMIT_RSVP_GUEST',
+  limit: 10,
+  windowMs: TEN_MINUTES_MS,
+  key: guestKey,
+});
+
+/** Gift checkouts from one IP; each one adds to the active payment link's sum. */
+export const checkoutIpLimit = rateLimit({
+  name: 'checkout-ip',
+  limitEnv: 'RATE_LIMIT_CHECKOUT_IP',
+  limit: 10,
+  windowMs: TEN_MINUTES_MS,
+  key: clientIp,
+});
+
+/** Gift checkouts for one guest, from any IP. */
+export const checkoutGuestLimit = rateLimit({
+  name: 'checkout-guest',
+  limitEnv: 'RATE_LIMIT_CHECKOUT_GUEST',
+  limit: 5,
+  windowMs: HOUR_MS,
+  key: guestKey,
+});
+
+/** Photo uploads from one IP; each one is resized on the server. */
+export const photoIpLimit = rateLimit({
+  name: 'photo-ip',
+  limitEnv: 'RATE_LIMIT_PHOTO_IP',
+  limit: 60,
+  windowMs: TEN_MINUTES_MS,
+  key: clientIp,
+});
+
+/** Photo uploads for one guest, from any IP (their total is capped by PHOTO_MAX_PER_GUEST). */
+export const photoGuestLimit = rateLimit({
+  name: 'photo-guest',
+  limitEnv: 'RATE_LIMIT_PHOTO_GUEST',
+  limit: 20,
+  windowMs: TEN_MINUTES_MS,
+  key: guestKey,
+});
+
+/**
+ * Rejects a submission whose honeypot field is filled in. Nothing is saved and the answer is a
+ * plain 400, so a bot learns nothing about which check it failed.
+ */
+export function rejectHoneypot(req, res, next) {
+  const value = req.body?.[HONEYPOT_FIELD];
+  if (value === undefined || value === null || value === '') {
+    return next();
+  }
+  logBlocked(req, `honeypot field "${HONEYPOT_FIELD}" filled in`);
+  return res.status(400).json({
+    success: false,
+    error: 'Request could not be processed',
+  });
+}
@@ -0,0 +1,32 @@
+/**
+ * Admin key check for the admin APIs that guard money and guests' photos.
+ *
+ * Environment (optional):
+ * - ADMIN_API_KEY — when set, requests need it in the `x-admin-key` header or `?key=` (for links
+ *   and <img> tags, which cannot send headers). Unset: no check.
+ */
+
+import crypto from 'crypto';
+
+/** Whether ADMIN_API_KEY is set (the admin pages ask for it then). */
+export function adminAuthRequired() {
+  return Boolean((process.env.ADMIN_API_KEY || '').trim());
+}
+
+/** Middleware: 401 unless the request carries ADMIN_API_KEY. */
+export function requireAdminKey(req, res, next) {
+  const expected = (process.env.ADMIN_API_KEY || '').trim();
+  if (!expected) {
+    return next();
+  }
+  const provided = Buffer.from(String(req.get('x-admin-key') || req.query.key || '').trim());
+  const key = Buffer.from(expected);
+  // Constant-time compare; timingSafeEqual needs equal lengths, so check that first
+  if (provided.length !== key.length || !crypto.timingSafeEqual(provided, key)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized. Provide a valid x-admin-key header.',
+    });
+  }
+  return next();
+}
@@ -0,0 +1,141 @@
+/**
+ * Add-to-calendar for guests who are coming: a personal .ics file and a Google Calendar link.
+ * Title, time, venue and reminders come from the event config (see config/event.js); an event has
+ * no calendar links until its `start` is set.
+ */
+
+import { findEvent } from '../config/event.js';
+import { defaultLocale, localized, normalizeLocale } from '../config/locales.js';
+import { inviteLink } from './inviteTokens.js';
+
+/** @type {Record<import('../config/locales.js').Locale, { coming: (n: number) => string, change: string }>} */
+const CALENDAR_TEXT = {
+  he: {
+    coming: (n) => (n === 1 ? 'אישרתם הגעה של אדם אחד' : `אישרתם הגעה של ${n} אנשים`),
+    change: 'לשינוי התשובה:',
+  },
+  en: {
+    coming: (n) => `You RSVP'd for ${n} ${n === 1 ? 'person' : 'people'}`,
+    change: 'To change your answer:',
+  },
+  ru: {
+    coming: (n) => `Вы подтвердили участие: ${n} чел.`,
+    change: 'Изменить ответ:',
+  },
+};
+
+/** @typedef {import('../config/event.js').WeddingEventConfig & { start: Date, end: Date }} WeddingEvent */
+
+/**
+ * @param {string | null} [eventId] default: the first event
+ * @returns {WeddingEvent | null} null while the event has no start
+ */
+export function getCalendarEvent(eventId) {
+  const event = findEvent(eventId);
+  return event.start ? /** @type {WeddingEvent} */ (event) : null;
+}
+
+/** 20260910T160000Z */
+function utcStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/** RFC 5545 TEXT value. */
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+/** Fold at 75 octets without splitting a UTF-8 character. */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const size = Buffer.byteLength(ch);
+    if (bytes + size > 75) {
+      parts.push(current);
+      current = ' ';
+      bytes = 1;
+    }
+    current += ch;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * Title, venue and description in the guest's language.
+ * @param {WeddingEvent} event
+ * @param {{ phoneTo: string, phoneKey: string | null }} guest
+ * @param {number} numberOfGuests from the guest's "yes" answer
+ * @param {string | null} [lang] `?lang=` from the landing page; else DEFAULT_LOCALE
+ */
+function guestEventText(event, guest, numberOfGuests, lang) {
+  const locale = normalizeLocale(lang) || defaultLocale();
+  const text = CALENDAR_TEXT[locale];
+  const link = guest.phoneTo ? inviteLink(guest.phoneTo, event.id) : null;
+  const description = [text.coming(numberOfGuests), ...(link ? ['', `${text.change} ${link}`] : [])].join('\n');
+  const location = event.venue ? localized(event.venue.address, locale) : '';
+  return { title: localized(event.title, locale), location, description, link };
+}
+
+/**
+ * The guest's .ics file. The UID is fixed per guest and event, so downloading again updates the
+ * same calendar entry instead of adding a second one.
+ * @param {WeddingEvent} event
+ * @param {{ phoneTo: string, phoneKey: string | null }} guest
+ * @param {number} numberOfGuests
+ * @param {string | null} [lang]
+ * @returns {string}
+ */
+export function buildGuestICS(event, guest, numberOfGuests, lang) {
+  const { title, location, description, link } = guestEventText(event, guest, numberOfGuests, lang);
+  const guestId = String(guest.phoneKey || guest.phoneTo).replace(/\D/g, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//wedding-invite-app//RSVP//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${event.id}-${utcStamp(event.start)}-${guestId}@wedding-invite-app`,
+    `DTSTAMP:${utcStamp(new Date())}`,
+    `DTSTART:${utcStamp(event.start)}`,
+    `DTEND:${utcStamp(event.end)}`,
+    `SUMMARY:${escapeText(title)}`,
+    ...(location ? [`LOCATION:${escapeText(location)}`] : []),
+    `DESCRIPTION:${escapeText(description)}`,
+    ...(link ? [`URL:${link}`] : []),
+    ...event.reminders.flatMap((minutes) => [
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(title)}`,
+      `TRIGGER:-PT${minutes}M`,
+      'END:VALARM',
+    ]),
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * "Add to Google Calendar" link with the same title, time, place and description as the .ics.
+ * @param {WeddingEvent} event
+ * @param {{ phoneTo: string, phoneKey: string | null }} guest
+ * @param {number} numberOfGuests
+ * @param {string | null} [lang]
+ */
+export function googleCalendarUrl(event, guest, numberOfGuests, lang) {
+  const { title, location, description } = guestEventText(event, guest, numberOfGuests, lang);
+  const url = new URL('https://calendar.google.com/calendar/render');
+  url.searchParams.set('action', 'TEMPLATE');
+  url.searchParams.set('text', title);
+  url.searchParams.set('dates', `${utcStamp(event.start)}/${utcStamp(event.end)}`);
+  if (location) {
+    url.searchParams.set('location', location);
+  }
+  url.searchParams.set('details', description);
+  return url.toString();
+}
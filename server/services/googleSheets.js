@@ -1,5 +1,32 @@
-import { google } from 'googleapis';
+/**
+ * Google Sheets storage backend (STORAGE_BACKEND=sheets, the default); see storage.js for the
+ * interface and services/localStore.js for the offline one. Call through storage.js.
+ *
+ * Environment:
+ * - GOOGLE_SERVICE_ACCOUNT_KEY — service account JSON, or GOOGLE_CLIENT_EMAIL + GOOGLE_PRIVATE_KEY.
+ */
 
+import { google } from 'googleapis';
+import { envGuestSheetId } from '../config/loadEnv.js';
+import { guestReadRange, guestSheetTab } from '../config/guestColumns.js';
+import { findEvent, getEvents } from '../config/event.js';
+import { getRSVPQuestions } from '../config/rsvpQuestions.js';
+import {
+  findGuestRowByPhone,
+  indexGuestsByPhone,
+  mapDataRowsToGuests,
+  matchListedGuest,
+  newGuestRows,
+  rsvpWritebackCells,
+  sendFlagCells,
+  sendersFromRows,
+} from './guestRows.js';
+import { toE164 } from './phone.js';
+import { formatAnswerCell, parseAnswerCell } from './rsvpAnswers.js';
+import { columnLetter } from './sheetNotation.js';
+import { withSheetsRetry } from './sheetsRetry.js';
+
+/** googleapis Sheets client, wrapped with retry/backoff by sheetsRetry.js. */
 let sheets = null;
 let auth = null;
 let serviceAccountEmail = null;
@@ -89,7 +116,8 @@ export async function configureSheets() {
       throw new Error('Google Sheets credentials not configured. Please set GOOGLE_SERVICE_ACCOUNT_KEY or GOOGLE_CLIENT_EMAIL/GOOGLE_PRIVATE_KEY');
     }
 
-    sheets = google.sheets({ version: 'v4', auth });
+    // Library retries are off: sheetsRetry.js owns the policy (and counts the retries)
+    sheets = withSheetsRetry(google.sheets({ version: 'v4', auth, retry: false }));
     console.log('Google Sheets API configured successfully');
   } catch (error) {
     console.error('Error configuring Google Sheets:', error);
@@ -114,140 +142,143 @@ async function fetchSheetRows(spreadsheetId, range) {
 }
 
 /**
- * Map data rows (excluding header) to guest objects; does not filter by name/phone.
- * @param {string[][]} rows full sheet including row 0 = header
+ * Read-through cache of parsed guest rows, keyed by spreadsheet + range.
+ * A WhatsApp blast sends hundreds of guests to /api/rsvp/guest/:phone within minutes;
+ * without this every visit re-downloads the whole tab and eats Sheets read quota.
+ * Entries expire after GUEST_CACHE_TTL_MS (default 60s, 0 disables) and are dropped on every
+ * write through this module or via invalidateGuestCache (admin "Refresh from sheet").
+ * @type {Map<string, { expiresAt: number, rows: string[][], guests: object[], byPhone: Map<string, object[]> } | { pending: Promise<any> }>}
+ * byPhone is keyed by E.164 (see phone.js).
  */
-function mapDataRowsToGuests(rows) {
-  if (rows.length <= 1) {
-    return [];
-  }
-  return rows.slice(1).map((row, index) => {
-    const firstName = (row[0] || '').trim();
-    const familyName = (row[1] || '').trim();
-    const fullName = [firstName, familyName].filter((n) => n).join(' ').trim();
-    return {
-      rowNumber: index + 2,
-      name: firstName,
-      fullName: fullName || firstName,
-      addons: row[11] || '',
-      sendConfirmation: (row[13] || '').toString().toLowerCase().trim(),
-      sender: row[14] || '',
-      phoneTo: findPhoneNumber(row),
-    };
-  });
-}
+const guestRowsCache = new Map();
 
-/** Guest list worksheet name (must match the Google Sheet tab exactly). */
-const GUEST_SHEET_TAB = 'חתונה';
+function guestCacheTtlMs() {
+  const n = parseInt(process.env.GUEST_CACHE_TTL_MS || '60000', 10);
+  return Number.isFinite(n) && n >= 0 ? n : 60000;
+}
 
-/** Read wide enough for phone cells placed after column O (API omits trailing empties only). */
-const GUEST_SHEET_READ_RANGE = `${GUEST_SHEET_TAB}!A:Z`;
+function guestCacheKey(spreadsheetId, range) {
+  return `${spreadsheetId}\u0000${range}`;
+}
 
 /**
- * Read guest list from Google Sheet with Hebrew columns
- * Column A: First name (Hebrew)
- * Column B: Family name (Hebrew)
- * Column L: Addons (optional, Hebrew name)
- * Column N: לשלוח אישורי הגעה (Send confirmation - filter by "v")
- * Column O: Sender (Hebrew name - filter by selected sender)
- * Phone number: detected by scanning the row (often in a column after O)
+ * @param {string} spreadsheetId
+ * @param {string} range
+ * @param {{ fresh?: boolean }} [options] fresh: bypass (and refresh) the cache, used before writes
+ * @returns {Promise<{ rows: string[][], guests: object[], byPhone: Map<string, object[]> }>}
  */
-export async function getGuestList(spreadsheetId, range = GUEST_SHEET_READ_RANGE) {
-  try {
+async function loadGuestRows(spreadsheetId, range, options = {}) {
+  const key = guestCacheKey(spreadsheetId, range);
+  const cached = guestRowsCache.get(key);
+  if (!options.fresh && cached) {
+    if (cached.pending) {
+      return cached.pending;
+    }
+    if (cached.expiresAt > Date.now()) {
+      return cached;
+    }
+  }
+
+  const pending = (async () => {
     const rows = await fetchSheetRows(spreadsheetId, range);
-    if (rows.length === 0) {
-      return [];
+    const guests = mapDataRowsToGuests(rows);
+    return { rows, guests, byPhone: indexGuestsByPhone(guests) };
+  })();
+
+  guestRowsCache.set(key, { pending });
+  try {
+    const entry = { ...(await pending), expiresAt: Date.now() + guestCacheTtlMs() };
+    if (guestRowsCache.get(key)?.pending === pending) {
+      if (guestCacheTtlMs() > 0) {
+        guestRowsCache.set(key, entry);
+      } else {
+        guestRowsCache.delete(key);
+      }
     }
-    const mapped = mapDataRowsToGuests(rows);
-    return mapped.filter((guest) => guest.name && guest.phoneTo);
+    return entry;
   } catch (error) {
-    console.error('Error reading guest list:', error);
+    if (guestRowsCache.get(key)?.pending === pending) {
+      guestRowsCache.delete(key);
+    }
     throw error;
   }
 }
 
 /**
- * Normalize pasted phone cells: bidi marks, soft hyphen, and Unicode dashes
- * (U+2010–U+2015, minus sign, fullwidth hyphen, etc.) → ASCII hyphen for /[\d\s\-\+\(\)]{8,}/.
+ * Drop cached guest rows (all spreadsheets when no id is given).
+ * @param {string} [spreadsheetId]
  */
-function normalizePhoneCell(raw) {
-  return String(raw ?? '')
-    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
-    .replace(/\u00AD/g, '')
-    .replace(/[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g, '-')
-    .trim();
+export function invalidateGuestCache(spreadsheetId) {
+  if (!spreadsheetId) {
+    guestRowsCache.clear();
+    return;
+  }
+  const prefix = guestCacheKey(spreadsheetId, '');
+  for (const key of guestRowsCache.keys()) {
+    if (key.startsWith(prefix)) {
+      guestRowsCache.delete(key);
+    }
+  }
 }
 
 /**
- * Find phone number in a row (typically in columns with phone-like patterns)
- * Looks for columns that match phone number patterns
+ * Raw guest tab rows plus every mapped row (including rows without a name or phone),
+ * for tooling that needs to see what getGuestList filters out.
+ * @param {{ fresh?: boolean }} [options]
  */
-function findPhoneNumber(row) {
-  const phonePattern = /[\d\s\-\+\(\)]{8,}/;
-  for (let i = 0; i < row.length; i++) {
-    const cell = normalizePhoneCell((row[i] || '').toString());
-    const digitsOnlyLen = cell.replace(/\D/g, '').length;
-    if (digitsOnlyLen >= 8 && phonePattern.test(cell)) {
-      return cell;
-    }
-  }
-  return '';
+export async function getGuestSheetRows(spreadsheetId, options = {}, range = guestReadRange()) {
+  const { rows, guests } = await loadGuestRows(spreadsheetId, range, options);
+  return { rows, guests };
 }
 
 /**
- * Unique senders from column O on every data row.
- * (Do not derive from getGuestList: that drops rows without name+phone, which would hide senders.)
+ * Read guest list from Google Sheet with Hebrew columns (see server/config/guestColumns.js)
+ * Default layout when headers do not match:
+ * Column A: First name (Hebrew)
+ * Column B: Family name (Hebrew)
+ * Column L: Addons (optional, Hebrew name)
+ * Column N: לשלוח אישורי הגעה (Send confirmation - filter by "v")
+ * Column O: Sender (Hebrew name - filter by selected sender)
+ * Phone number: the "טלפון" column, else detected by scanning the row
  */
-export async function getSenders(spreadsheetId, range = GUEST_SHEET_READ_RANGE) {
-  const rows = await fetchSheetRows(spreadsheetId, range);
-  if (rows.length <= 1) {
-    return [];
-  }
-
-  const seen = new Set();
-  const ordered = [];
-
-  for (let i = 1; i < rows.length; i++) {
-    const row = rows[i];
-    const raw = row[14];
-    const s = (raw !== undefined && raw !== null ? String(raw) : '').trim();
-    if (!s) {
-      continue;
-    }
-    if (seen.has(s)) {
-      continue;
-    }
-    seen.add(s);
-    ordered.push(s);
+export async function getGuestList(spreadsheetId, range = guestReadRange()) {
+  try {
+    const { guests } = await loadGuestRows(spreadsheetId, range);
+    return guests.filter((guest) => guest.name && guest.phoneTo);
+  } catch (error) {
+    console.error('Error reading guest list:', error);
+    throw error;
   }
+}
 
-  return ordered;
+/**
+ * Unique senders from the sender column (O by default) on every data row (see sendersFromRows).
+ */
+export async function getSenders(spreadsheetId, range = guestReadRange()) {
+  const { rows } = await loadGuestRows(spreadsheetId, range);
+  return sendersFromRows(rows);
 }
 
 /**
- * Get guest information by phone number
+ * Get guest information by phone number (exact E.164 match; partial numbers match nobody).
+ * @throws 409 AMBIGUOUS_PHONE when two listed guests share the number
  */
-export async function getGuestByPhone(spreadsheetId, phone, range = GUEST_SHEET_READ_RANGE) {
+export async function getGuestByPhone(spreadsheetId, phone, range = guestReadRange()) {
   if (!sheets) {
     await configureSheets();
   }
 
   try {
-    const guests = await getGuestList(spreadsheetId, range);
-    const normalizedPhone = normalizePhoneCell(phone).replace(/\D/g, '');
-
-    const guest = guests.find((g) => {
-      const guestPhone = normalizePhoneCell(g.phoneTo || '').replace(/\D/g, '');
-      return (
-        guestPhone === normalizedPhone ||
-        guestPhone.endsWith(normalizedPhone) ||
-        normalizedPhone.endsWith(guestPhone)
-      );
-    });
-
-    return guest || null;
+    const key = toE164(phone);
+    if (!key) {
+      return null;
+    }
+    const { byPhone } = await loadGuestRows(spreadsheetId, range);
+    return matchListedGuest(byPhone, key);
   } catch (error) {
-    console.error('Error getting guest by phone:', error);
+    if (error.code !== 'AMBIGUOUS_PHONE') {
+      console.error('Error getting guest by phone:', error);
+    }
     throw error;
   }
 }
@@ -255,61 +286,36 @@ export async function getGuestByPhone(spreadsheetId, phone, range = GUEST_SHEET_
 /**
  * Update send confirmation status for a guest (remove from send list)
  */
-export async function updateSendConfirmation(spreadsheetId, phone, shouldSend = false, range = GUEST_SHEET_READ_RANGE) {
+export async function updateSendConfirmation(spreadsheetId, phone, shouldSend = false, range = guestReadRange()) {
   if (!sheets) {
     await configureSheets();
   }
 
   try {
-    // Get all rows to find the one to update
-    const response = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range,
-    });
-
-    const rows = response.data.values || [];
+    // Get all rows to find the one to update (fresh read: the cache may predate a sheet edit)
+    const { rows, guests } = await loadGuestRows(spreadsheetId, range, { fresh: true });
     if (rows.length === 0) {
       throw new Error('No data found in sheet');
     }
 
-    // Find the row with matching phone number
-    const normalizedPhone = normalizePhoneCell(phone).replace(/\D/g, '');
-    let rowIndex = -1;
-
-    for (let i = 1; i < rows.length; i++) {
-      const row = rows[i];
-      // Check all columns for phone number
-      for (let j = 0; j < row.length; j++) {
-        const cell = normalizePhoneCell((row[j] || '').toString());
-        const cellPhone = cell.replace(/\D/g, '');
-        if (cellPhone === normalizedPhone || cellPhone.endsWith(normalizedPhone) || normalizedPhone.endsWith(cellPhone)) {
-          rowIndex = i;
-          break;
-        }
-      }
-      if (rowIndex !== -1) break;
-    }
-
-    if (rowIndex === -1) {
+    const guest = findGuestRowByPhone(guests, phone);
+    if (!guest) {
       throw new Error('Guest with this phone number not found');
     }
+    const [cell] = sendFlagCells(rows, [guest], [{ phone, shouldSend }]).cells.values();
 
-    // Column N is index 13 (0-based), but we need to update it
-    // Update the send confirmation column (N = column 14 in 1-based, index 13 in 0-based)
-    const columnN = 13; // 0-based index for column N
-    const rowNumber = rowIndex + 1; // 1-based row number
-    
-    // Update the cell
+    // Update the send confirmation cell (column N unless the column map says otherwise)
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: `${GUEST_SHEET_TAB}!N${rowNumber}`,
+      range: `${guestSheetTab()}!${columnLetter(cell.index)}${cell.rowNumber}`,
       valueInputOption: 'RAW',
       resource: {
-        values: [[shouldSend ? 'v' : '']],
+        values: [[cell.value]],
       },
     });
+    invalidateGuestCache(spreadsheetId);
 
-    return { success: true, rowNumber };
+    return { success: true, rowNumber: cell.rowNumber };
   } catch (error) {
     console.error('Error updating send confirmation:', error);
     throw error;
@@ -317,21 +323,81 @@ export async function updateSendConfirmation(spreadsheetId, phone, shouldSend =
 }
 
 /**
- * Filter guests by sender and send confirmation status
- * @param {Array} guests - Array of guest objects
- * @param {string} senderName - Name of sender to filter by (Hebrew)
- * @returns {Array} Filtered guests
+ * Set the send flag for many guests with one sheet read and one values.batchUpdate.
+ * Unknown phones do not abort the batch; each update gets its own result.
+ * @param {string} spreadsheetId
+ * @param {Array<{ phone: string, shouldSend: boolean }>} updates
+ * @returns {Promise<{ updated: number, failed: number, results: Array<{ phone: string, shouldSend: boolean, success: boolean, rowNumber?: number, error?: string }> }>}
  */
-export function filterGuestsBySender(guests, senderName) {
-  return guests.filter(guest => {
-    // Filter by sender
-    const matchesSender = guest.sender && guest.sender.trim() === senderName.trim();
-    // Filter by send confirmation (column N must have "v")
-    const shouldSend = guest.sendConfirmation === 'v' || guest.sendConfirmation === 'V';
-    return matchesSender && shouldSend;
-  });
+export async function updateSendConfirmations(spreadsheetId, updates, range = guestReadRange()) {
+  if (!sheets) {
+    await configureSheets();
+  }
+
+  try {
+    const { rows, guests } = await loadGuestRows(spreadsheetId, range, { fresh: true });
+    const { cells, results } = sendFlagCells(rows, guests, updates);
+
+    if (cells.size > 0) {
+      await sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId,
+        resource: {
+          valueInputOption: 'RAW',
+          data: [...cells.values()].map((cell) => ({
+            range: `${guestSheetTab()}!${columnLetter(cell.index)}${cell.rowNumber}`,
+            values: [[cell.value]],
+          })),
+        },
+      });
+      invalidateGuestCache(spreadsheetId);
+    }
+
+    const updated = results.filter((r) => r.success).length;
+    return { updated, failed: results.length - updated, results };
+  } catch (error) {
+    console.error('Error updating send confirmations:', error);
+    throw error;
+  }
 }
 
+/**
+ * Append new guest rows, placing each value in its mapped column (import tool).
+ * @param {string} spreadsheetId
+ * @param {{ firstName: string, familyName?: string, phone: string, addons?: string, sender: string, sendFlag?: boolean }[]} newGuests
+ * @returns {Promise<{ appended: number, updatedRange: string | null }>}
+ */
+export async function appendGuestRows(spreadsheetId, newGuests, range = guestReadRange()) {
+  if (!sheets) {
+    await configureSheets();
+  }
+  if (newGuests.length === 0) {
+    return { appended: 0, updatedRange: null };
+  }
+
+  try {
+    const { rows } = await loadGuestRows(spreadsheetId, range, { fresh: true });
+    const values = newGuestRows(rows[0] || [], newGuests);
+
+    const response = await sheets.spreadsheets.values.append({
+      spreadsheetId,
+      range: `${guestSheetTab()}!A:${columnLetter(values[0].length - 1)}`,
+      valueInputOption: 'RAW',
+      insertDataOption: 'INSERT_ROWS',
+      resource: {
+        values,
+      },
+    });
+    invalidateGuestCache(spreadsheetId);
+    return { appended: values.length, updatedRange: response.data.updates?.updatedRange || null };
+  } catch (error) {
+    console.error('Error appending guest rows:', error);
+    throw error;
+  }
+}
+
+/** Response spreadsheet tab of the first event (historically the same name as the guest tab). */
+const RESPONSE_SHEET_TAB = 'חתונה';
+
 const RESPONSE_SHEET_HEADERS = [
   'Name',
   'Phone',
@@ -341,60 +407,282 @@ const RESPONSE_SHEET_HEADERS = [
   'Vegan/Vegetarian',
   'Additional Notes',
   'Timestamp',
+  'Attendees',
 ];
 
+/** Reads span the question columns after the fixed ones (the API omits trailing empties). */
+const RESPONSE_READ_LAST_COLUMN = 'ZZ';
+
+/** Fixed columns a question may write to instead of getting its own (the original vegan count). */
+const SHARED_QUESTION_COLUMNS = ['Vegan/Vegetarian'];
+
+/**
+ * Every submission is also appended here (same spreadsheet), so a re-submission that
+ * overwrites the main row still leaves its previous answer on record.
+ */
+const RSVP_HISTORY_TAB = 'RSVP History';
+
+/**
+ * Response and history tabs of an event (see config/event.js). The first event keeps the original
+ * tab names; the others default to their id and "RSVP History (<tab>)".
+ * @param {string | null | undefined} eventId
+ * @returns {{ response: string, history: string }}
+ */
+function responseTabs(eventId) {
+  const event = findEvent(eventId);
+  const first = event === getEvents()[0];
+  const response = event.responseTab || (first ? RESPONSE_SHEET_TAB : event.id);
+  return { response, history: first ? RSVP_HISTORY_TAB : `${RSVP_HISTORY_TAB} (${response})` };
+}
+
+/** Sheets answers 400 "Unable to parse range" for a tab that does not exist yet. */
+function isMissingTabError(error) {
+  return /unable to parse range/i.test(error.message || '');
+}
+
+/** The response row, then how it relates to the guest's previous answer. */
+const RSVP_HISTORY_HEADERS = [
+  ...RESPONSE_SHEET_HEADERS,
+  'Change',
+  'Previous RSVP Status',
+  'Previous Number of Guests',
+];
+
+/** Response columns compared to decide whether a re-submission changed the answer (status … notes, attendees; plus question columns). */
+const RSVP_ANSWER_COLUMNS = [2, 3, 4, 5, 6, 8];
+
+function sameHeader(a, b) {
+  return String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+}
+
+/**
+ * Where each configured question's answer sits on a response or history tab, found by header
+ * (see config/rsvpQuestions.js). Questions whose header is not on the tab are left out.
+ * @param {string[] | undefined} headerRow
+ * @param {string[]} fixedHeaders RESPONSE_SHEET_HEADERS or RSVP_HISTORY_HEADERS
+ * @returns {{ question: import('../config/rsvpQuestions.js').RSVPQuestion, index: number }[]}
+ */
+function questionColumns(headerRow = [], fixedHeaders) {
+  return getRSVPQuestions().flatMap((question) => {
+    const index = headerRow.findIndex((header) => sameHeader(header, question.column));
+    const fixed = index !== -1 && index < fixedHeaders.length && !SHARED_QUESTION_COLUMNS.includes(fixedHeaders[index]);
+    return index === -1 || fixed ? [] : [{ question, index }];
+  });
+}
+
+/**
+ * Put the fixed headers and one header per configured question on a tab's first row,
+ * keeping existing question columns where they are and appending new ones.
+ * @returns {Promise<'created' | 'migrated' | null>} what was written
+ */
+async function ensureResponseHeaders(spreadsheetId, tab, fixedHeaders) {
+  const response = await sheets.spreadsheets.values.get({ spreadsheetId, range: `${tab}!1:1` });
+  const existing = response.data.values?.[0] || [];
+  const headers = existing.length < fixedHeaders.length ? [...fixedHeaders, ...existing.slice(fixedHeaders.length)] : [...existing];
+  for (const question of getRSVPQuestions()) {
+    const clash = fixedHeaders.find((h) => sameHeader(h, question.column) && !SHARED_QUESTION_COLUMNS.includes(h));
+    if (clash) {
+      throw Object.assign(new Error(`RSVP question "${question.id}" uses the reserved column "${clash}"`), { status: 500 });
+    }
+    if (!headers.some((h) => sameHeader(h, question.column))) {
+      headers.push(question.column);
+    }
+  }
+  if (headers.length === existing.length && headers.every((h, i) => h === existing[i])) {
+    return null;
+  }
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${tab}!A1:${columnLetter(headers.length - 1)}1`,
+    valueInputOption: 'RAW',
+    resource: {
+      values: [headers],
+    },
+  });
+  return existing.length === 0 ? 'created' : 'migrated';
+}
+
+/** Sheet row from sparse cells (holes become ''). */
+function denseRow(cells) {
+  return Array.from(cells, (value) => value ?? '');
+}
+
+/** Tabs known to exist, keyed by spreadsheet id + title (saves a spreadsheets.get per write). */
+const knownTabs = new Set();
+
+/**
+ * Create a tab when the spreadsheet does not have it yet.
+ * @returns {Promise<boolean>} true when the tab was created
+ */
+async function ensureSheetTab(spreadsheetId, title) {
+  const key = `${spreadsheetId}\u0000${title}`;
+  if (knownTabs.has(key)) {
+    return false;
+  }
+  const meta = await sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties.title' });
+  const exists = (meta.data.sheets || []).some((sheet) => sheet.properties?.title === title);
+  if (!exists) {
+    try {
+      await sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        requestBody: { requests: [{ addSheet: { properties: { title } } }] },
+      });
+    } catch (error) {
+      // Another request created it first
+      if (!/already exists/i.test(error.message || '')) {
+        throw error;
+      }
+    }
+  }
+  knownTabs.add(key);
+  return !exists;
+}
+
+/**
+ * Copy an RSVP onto the guest's own row (see rsvpWritebackCells).
+ * @param {string} guestSheetId
+ * @param {string} phoneKey E.164
+ * @param {{ status: string, headcount: number, timestamp: string }} answer
+ * @returns {Promise<number | null>} guest row number, or null when nothing was written
+ */
+async function writeRSVPToGuestRow(guestSheetId, phoneKey, answer, range = guestReadRange()) {
+  const { rows, byPhone } = await loadGuestRows(guestSheetId, range, { fresh: true });
+  const cells = rsvpWritebackCells(rows, byPhone, phoneKey, answer);
+  if (!cells.length) {
+    return null;
+  }
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId: guestSheetId,
+    resource: {
+      valueInputOption: 'RAW',
+      data: cells.map((cell) => ({
+        range: `${guestSheetTab()}!${columnLetter(cell.index)}${cell.rowNumber}`,
+        values: [[cell.value]],
+      })),
+    },
+  });
+  invalidateGuestCache(guestSheetId);
+  return cells[0].rowNumber;
+}
+
 /**
  * Write RSVP response to Google Sheet
- * Expected columns: Name, Phone, RSVP Status, Number of Guests, Babies, Vegan/Vegetarian, Additional Notes, Timestamp
+ * Expected columns: Name, Phone, RSVP Status, Number of Guests, Babies, Vegan/Vegetarian, Additional Notes, Timestamp, Attendees,
+ * then one column per configured question (created by initializeResponseSheet).
+ * Each event has its own response and history tabs (see responseTabs). The guest's row holds the
+ * latest answer; every submission is also logged to the history tab and, for the first event,
+ * copied onto the guest list row when it has RSVP columns (see writeRSVPToGuestRow).
+ * @param {string} spreadsheetId
+ * @param {import('./storage.js').RSVPResponse} response
+ * @returns {Promise<{ success: true, change: 'new' | 'changed' | 'unchanged' }>}
  */
-export async function saveRSVPResponse(
-  spreadsheetId,
-  name,
-  phone,
-  isAttending,
-  numberOfGuests,
-  numberOfBabies = 0,
-  numberOfVegan = 0,
-  additionalNotes = '',
-  range = `${GUEST_SHEET_TAB}!A:H`
-) {
+export async function saveRSVPResponse(spreadsheetId, response) {
+  const {
+    eventId,
+    name,
+    phone,
+    isAttending,
+    numberOfGuests,
+    numberOfBabies = 0,
+    numberOfVegan = 0,
+    additionalNotes = '',
+    attendees = [],
+    answers = {},
+    submittedAt,
+  } = response;
+
   if (!sheets) {
     await configureSheets();
   }
 
+  const phoneKey = toE164(phone);
+  if (!phoneKey) {
+    throw Object.assign(new Error('Invalid phone number'), { status: 400 });
+  }
+
+  const tabs = responseTabs(eventId);
+
   try {
     // First, check if this phone number already has a response
-    const existing = await sheets.spreadsheets.values.get({
-      spreadsheetId,
-      range,
-    });
+    const [existing, history] = await Promise.all([
+      sheets.spreadsheets.values.get({ spreadsheetId, range: `${tabs.response}!A:${RESPONSE_READ_LAST_COLUMN}` }),
+      sheets.spreadsheets.values.get({ spreadsheetId, range: `${tabs.history}!A:${RESPONSE_READ_LAST_COLUMN}` }),
+    ]);
 
     const rows = existing.data.values || [];
+    const historyRows = history.data.values || [];
     const phoneColumnIndex = 1; // Assuming phone is in column B
-    const existingRowIndex = rows.findIndex((row, index) => {
-      if (index === 0) return false; // Skip header
-      return row[phoneColumnIndex] === phone;
+    const matchingRows = [];
+    rows.forEach((row, index) => {
+      if (index > 0 && toE164(row[phoneColumnIndex]) === phoneKey) {
+        matchingRows.push(index);
+      }
     });
+    if (matchingRows.length > 1) {
+      // Left over from raw-string matching ("050-…" vs "+97250…"); keep writing to the first one
+      console.warn(`Duplicate response rows for ${phoneKey}: ${matchingRows.map((i) => i + 1).join(', ')}`);
+    }
+    const existingRowIndex = matchingRows.length ? matchingRows[0] : -1;
 
-    const timestamp = new Date().toISOString();
+    const timestamp = submittedAt || new Date().toISOString();
     const rsvpStatus = isAttending ? 'Yes' : 'No';
-    const values = [[
+    const fixedCells = [
       name,
-      phone,
+      phoneKey,
       rsvpStatus,
       numberOfGuests.toString(),
       numberOfBabies.toString(),
       numberOfVegan.toString(),
       additionalNotes,
       timestamp,
-    ]];
+      attendees.join(', '),
+    ];
+    /** Question answers on top of a row, by that tab's header positions */
+    const withAnswers = (cells, columns) => {
+      const row = [...cells];
+      for (const { question, index } of columns) {
+        if (answers[question.id] !== undefined) {
+          row[index] = formatAnswerCell(answers[question.id]);
+        }
+      }
+      return denseRow(row);
+    };
+    const answerColumns = questionColumns(rows[0], RESPONSE_SHEET_HEADERS);
+    const values = [withAnswers(fixedCells, answerColumns)];
+    const lastColumn = columnLetter(values[0].length - 1);
+
+    const previous = existingRowIndex > 0 ? rows[existingRowIndex] : null;
+    const compared = [...RSVP_ANSWER_COLUMNS, ...answerColumns.map((c) => c.index)];
+    const change = !previous
+      ? 'new'
+      : compared.some((i) => String(previous[i] ?? '') !== (values[0][i] ?? ''))
+        ? 'changed'
+        : 'unchanged';
+
+    // History first: a retried write (RSVP queue) finds its own revision by phone + timestamp and skips it
+    const alreadyLogged = historyRows.some((row, index) => index > 0 && row[1] === phoneKey && row[7] === timestamp);
+    if (!alreadyLogged) {
+      const revision = withAnswers(
+        [...fixedCells, change, previous?.[2] ?? '', previous?.[3] ?? ''],
+        questionColumns(historyRows[0], RSVP_HISTORY_HEADERS),
+      );
+      await sheets.spreadsheets.values.append({
+        spreadsheetId,
+        range: `${tabs.history}!A:${columnLetter(revision.length - 1)}`,
+        valueInputOption: 'RAW',
+        insertDataOption: 'INSERT_ROWS',
+        resource: {
+          values: [revision],
+        },
+      });
+    }
 
     if (existingRowIndex > 0) {
       // Update existing row
       const rowNumber = existingRowIndex + 1;
       await sheets.spreadsheets.values.update({
         spreadsheetId,
-        range: `${GUEST_SHEET_TAB}!A${rowNumber}:H${rowNumber}`,
+        range: `${tabs.response}!A${rowNumber}:${lastColumn}${rowNumber}`,
         valueInputOption: 'RAW',
         resource: {
           values,
@@ -405,7 +693,7 @@ export async function saveRSVPResponse(
       // Append new row
       await sheets.spreadsheets.values.append({
         spreadsheetId,
-        range,
+        range: `${tabs.response}!A:${lastColumn}`,
         valueInputOption: 'RAW',
         insertDataOption: 'INSERT_ROWS',
         resource: {
@@ -415,7 +703,17 @@ export async function saveRSVPResponse(
       console.log(`Added new RSVP for ${name}`);
     }
 
-    return { success: true };
+    // The guest list's RSVP columns describe the first event
+    const guestSheetId = envGuestSheetId();
+    if (guestSheetId && findEvent(eventId) === getEvents()[0]) {
+      await writeRSVPToGuestRow(guestSheetId, phoneKey, {
+        status: rsvpStatus,
+        headcount: isAttending ? numberOfGuests : 0,
+        timestamp,
+      });
+    }
+
+    return { success: true, change };
   } catch (error) {
     console.error('Error saving RSVP response:', error);
     
@@ -436,41 +734,117 @@ export async function saveRSVPResponse(
 }
 
 /**
- * Initialize headers in the responses sheet if they don't exist
+ * One RESPONSE_SHEET_HEADERS row (main or history tab).
+ * @param {ReturnType<typeof questionColumns>} [answerColumns]
+ * @returns {import('./storage.js').RSVPRow}
  */
-export async function initializeResponseSheet(spreadsheetId) {
+function parseResponseRow(row, index, answerColumns = []) {
+  const toNumber = (v) => parseInt(v, 10) || 0;
+  return {
+    rowNumber: index + 1,
+    timestamp: row[7] || '',
+    name: row[0] || '',
+    phone: toE164(row[1]) || row[1] || '',
+    status: row[2] || '',
+    numberOfGuests: toNumber(row[3]),
+    numberOfBabies: toNumber(row[4]),
+    numberOfVegan: toNumber(row[5]),
+    additionalNotes: row[6] || '',
+    attendees: row[8] || '',
+    answers: Object.fromEntries(answerColumns.map(({ question, index: column }) => [question.id, parseAnswerCell(question, row[column])])),
+  };
+}
+
+/**
+ * Latest answer per guest from the event's response tab, in sheet order (header row skipped;
+ * empty when nobody answered the event yet).
+ * @param {string} spreadsheetId response sheet
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<import('./storage.js').RSVPRow[]>}
+ */
+export async function getRSVPResponses(spreadsheetId, eventId) {
   if (!sheets) {
     await configureSheets();
   }
 
+  let rows;
   try {
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: `${GUEST_SHEET_TAB}!A1:H1`,
+      range: `${responseTabs(eventId).response}!A:${RESPONSE_READ_LAST_COLUMN}`,
     });
+    rows = response.data.values || [];
+  } catch (error) {
+    if (isMissingTabError(error)) {
+      return [];
+    }
+    throw error;
+  }
+  const answerColumns = questionColumns(rows[0], RESPONSE_SHEET_HEADERS);
+  return rows
+    .map((row, index) => parseResponseRow(row, index, answerColumns))
+    .filter((r) => r.rowNumber > 1 && (r.name || r.phone));
+}
 
-    const existingHeaders = response.data.values?.[0] || [];
+/**
+ * Every logged submission from the event's history tab, oldest first (empty when the tab does not exist yet).
+ * @param {string} spreadsheetId response sheet
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<import('./storage.js').RSVPRevision[]>}
+ */
+export async function getRSVPHistory(spreadsheetId, eventId) {
+  if (!sheets) {
+    await configureSheets();
+  }
 
-    if (existingHeaders.length === 0) {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `${GUEST_SHEET_TAB}!A1:H1`,
-        valueInputOption: 'RAW',
-        resource: {
-          values: [RESPONSE_SHEET_HEADERS],
-        },
-      });
-      console.log('Initialized response sheet headers');
-    } else if (existingHeaders.length < RESPONSE_SHEET_HEADERS.length) {
-      await sheets.spreadsheets.values.update({
-        spreadsheetId,
-        range: `${GUEST_SHEET_TAB}!A1:H1`,
-        valueInputOption: 'RAW',
-        resource: {
-          values: [RESPONSE_SHEET_HEADERS],
-        },
-      });
-      console.log('Migrated response sheet headers to include new columns');
+  try {
+    const response = await sheets.spreadsheets.values.get({
+      spreadsheetId,
+      range: `${responseTabs(eventId).history}!A:${RESPONSE_READ_LAST_COLUMN}`,
+    });
+    const rows = response.data.values || [];
+    const answerColumns = questionColumns(rows[0], RSVP_HISTORY_HEADERS);
+    return rows
+      .map((row, index) => ({
+        ...parseResponseRow(row, index, answerColumns),
+        change: row[9] || '',
+        previousStatus: row[10] || '',
+        previousGuests: row[11] || '',
+      }))
+      .filter((revision) => revision.rowNumber > 1 && revision.phone && revision.timestamp)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  } catch (error) {
+    if (isMissingTabError(error)) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create the event's response and history tabs when missing, initialize their headers, and add a
+ * column for each configured RSVP question that does not have one yet
+ * @param {string} spreadsheetId
+ * @param {string} [eventId] default: the first event
+ */
+export async function initializeResponseSheet(spreadsheetId, eventId) {
+  if (!sheets) {
+    await configureSheets();
+  }
+
+  const tabs = responseTabs(eventId);
+  try {
+    await ensureSheetTab(spreadsheetId, tabs.response);
+    const written = await ensureResponseHeaders(spreadsheetId, tabs.response, RESPONSE_SHEET_HEADERS);
+    if (written === 'created') {
+      console.log(`Initialized response sheet headers ("${tabs.response}")`);
+    } else if (written === 'migrated') {
+      console.log(`Migrated response sheet headers ("${tabs.response}") to include new columns`);
+    }
+
+    await ensureSheetTab(spreadsheetId, tabs.history);
+    if (await ensureResponseHeaders(spreadsheetId, tabs.history, RSVP_HISTORY_HEADERS)) {
+      console.log(`Initialized RSVP history headers ("${tabs.history}")`);
     }
   } catch (error) {
     console.error('Error initializing response sheet:', error);
@@ -0,0 +1,364 @@
+/**
+ * Guest import from CSV, Excel (.xlsx) and vCard (.vcf) files
+ * (admin upload + `npm run import:guests`).
+ *
+ * Rows are mapped to first name / family name / phone / add-ons, phones are normalized to
+ * E.164, and numbers already on the guest list (or repeated in the file) are reported as
+ * duplicates instead of being added. New guests are appended with the chosen sender.
+ */
+
+import ExcelJS from 'exceljs';
+import { GUEST_COLUMN_FIELDS } from '../config/guestColumns.js';
+import { findPhoneNumber } from './guestRows.js';
+import { appendGuestRows, getGuestSheetRows } from './storage.js';
+import { toE164 } from './phone.js';
+import { columnIndex, isColumnLetter } from './sheetNotation.js';
+
+/** @typedef {'csv' | 'xlsx' | 'vcf'} ImportFormat */
+/** @typedef {{ source: string, firstName: string, familyName: string, phone: string, addons: string }} ImportRecord */
+
+/** Header names recognised in uploaded files, on top of the guest sheet's own aliases. */
+const IMPORT_HEADERS = {
+  firstName: [...GUEST_COLUMN_FIELDS.firstName.headers, 'given name', 'first', 'full name', 'שם מלא'],
+  familyName: [...GUEST_COLUMN_FIELDS.familyName.headers, 'last', 'משפחה'],
+  phone: [
+    ...GUEST_COLUMN_FIELDS.phone.headers,
+    'phone 1 - value',
+    'mobile phone',
+    'primary phone',
+    'cell',
+    'cell phone',
+    'telephone',
+    'טלפון נייד',
+  ],
+  addons: [...GUEST_COLUMN_FIELDS.addons.headers],
+};
+
+const IMPORT_FIELDS = Object.keys(IMPORT_HEADERS);
+
+function importError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function normalizeHeader(value) {
+  return String(value ?? '')
+    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+/** @returns {ImportFormat} */
+export function detectImportFormat(filename = '') {
+  const ext = String(filename).toLowerCase().split('.').pop();
+  if (ext === 'csv' || ext === 'txt') {
+    return 'csv';
+  }
+  if (ext === 'xlsx') {
+    return 'xlsx';
+  }
+  if (ext === 'vcf' || ext === 'vcard') {
+    return 'vcf';
+  }
+  throw importError(`Unsupported file type ".${ext}" (use .csv, .xlsx or .vcf)`);
+}
+
+/**
+ * UTF-8 with a fallback for Hebrew CSVs saved by Excel on Windows (windows-1255).
+ * @param {Buffer} buffer
+ */
+function decodeText(buffer) {
+  const utf8 = buffer.toString('utf8');
+  const text = utf8.includes('\uFFFD') ? new TextDecoder('windows-1255').decode(buffer) : utf8;
+  return text.replace(/^\uFEFF/, '');
+}
+
+/** RFC 4180 CSV (quoted fields, doubled quotes, CRLF); delimiter guessed from the first line. */
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t']
+    .map((d) => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim()));
+}
+
+/** First worksheet as text cells (phones stored as numbers come back without the leading 0; toE164 copes). */
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw importError(`Could not read the Excel file: ${error.message}`);
+  }
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      cells[col - 1] = String(cell.text ?? '').trim();
+    });
+    rows.push(Array.from(cells, (c) => c ?? ''));
+  });
+  return rows.filter((r) => r.some((cell) => cell));
+}
+
+/** Decode a QUOTED-PRINTABLE vCard value (Android exports Hebrew names this way). */
+function decodeQuotedPrintable(value) {
+  const bytes = [];
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === '=' && /^[0-9A-Fa-f]{2}$/.test(value.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(value.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(value[i], 'utf8'));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function unescapeVcard(value) {
+  return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim();
+}
+
+/**
+ * One record per BEGIN:VCARD … END:VCARD; the first CELL/mobile number wins, else the first TEL.
+ * @returns {ImportRecord[]}
+ */
+function parseVcf(text) {
+  // Unfold continuation lines (RFC 6350) and quoted-printable soft line breaks (trailing "=")
+  const lines = [];
+  for (const line of text.replace(/\r\n|\r/g, '\n').replace(/\n[ \t]/g, '').split('\n')) {
+    const prev = lines[lines.length - 1];
+    if (prev !== undefined && /QUOTED-PRINTABLE/i.test(prev) && prev.endsWith('=')) {
+      lines[lines.length - 1] = prev.slice(0, -1) + line;
+    } else {
+      lines.push(line);
+    }
+  }
+
+  const records = [];
+  let card = null;
+  let cardNumber = 0;
+  for (const line of lines) {
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      continue;
+    }
+    const [rawKey, ...params] = line.slice(0, colon).split(';');
+    const key = rawKey.replace(/^item\d+\./i, '').toUpperCase();
+    let value = line.slice(colon + 1);
+    if (params.some((p) => /ENCODING=QUOTED-PRINTABLE|^QUOTED-PRINTABLE$/i.test(p))) {
+      value = decodeQuotedPrintable(value);
+    }
+
+    if (key === 'BEGIN' && /vcard/i.test(value)) {
+      cardNumber++;
+      card = { fn: '', given: '', family: '', phones: [] };
+    } else if (key === 'END' && card) {
+      const phone = (card.phones.find((p) => p.mobile) || card.phones[0])?.value || '';
+      records.push({
+        source: `contact ${cardNumber}`,
+        firstName: card.given || card.fn,
+        familyName: card.given ? card.family : '',
+        phone,
+        addons: '',
+      });
+      card = null;
+    } else if (card && key === 'FN') {
+      card.fn = unescapeVcard(value);
+    } else if (card && key === 'N') {
+      const [family = '', given = ''] = value.split(/(?<!\\);/).map(unescapeVcard);
+      card.family = family;
+      card.given = given;
+    } else if (card && key === 'TEL') {
+      const mobile = params.some((p) => /CELL|MOBILE|IPHONE/i.test(p));
+      card.phones.push({ value: value.replace(/^tel:/i, '').trim(), mobile });
+    }
+  }
+  return records;
+}
+
+/**
+ * Locate import fields in a header row. Overrides take a header name or column letter.
+ * @param {string[]} headerRow
+ * @param {Record<string, string>} [overrides]
+ * @returns {Record<string, number | null>}
+ */
+function resolveImportColumns(headerRow, overrides = {}) {
+  const headerIndex = new Map();
+  headerRow.forEach((cell, i) => {
+    const key = normalizeHeader(cell);
+    if (key && !headerIndex.has(key)) {
+      headerIndex.set(key, i);
+    }
+  });
+
+  const columns = {};
+  for (const field of IMPORT_FIELDS) {
+    const ref = overrides[field];
+    if (ref) {
+      const byHeader = headerIndex.get(normalizeHeader(ref));
+      if (byHeader !== undefined) {
+        columns[field] = byHeader;
+      } else if (isColumnLetter(ref)) {
+        columns[field] = columnIndex(ref.trim());
+      } else {
+        throw importError(`Column "${ref}" for ${field} is not in the file`);
+      }
+      continue;
+    }
+    const hit = IMPORT_HEADERS[field].map((h) => headerIndex.get(normalizeHeader(h))).find((i) => i !== undefined);
+    columns[field] = hit ?? null;
+  }
+  return columns;
+}
+
+/**
+ * Turn tabular rows (row 0 = headers) into records. Without a phone column each row is scanned,
+ * the same way the guest sheet is read.
+ * @param {string[][]} rows
+ * @param {Record<string, string>} [overrides]
+ * @returns {{ columns: Record<string, number | null>, records: ImportRecord[] }}
+ */
+function tableToRecords(rows, overrides) {
+  if (rows.length < 2) {
+    throw importError('The file has no rows below the header');
+  }
+  const columns = resolveImportColumns(rows[0], overrides);
+  if (columns.firstName === null) {
+    throw importError('Could not find a name column (e.g. "שם פרטי" / "First Name"); map it explicitly');
+  }
+  const cell = (row, index) => (index === null ? '' : String(row[index] ?? '').trim());
+  const records = rows.slice(1).map((row, i) => ({
+    source: `row ${i + 2}`,
+    firstName: cell(row, columns.firstName),
+    familyName: cell(row, columns.familyName),
+    phone: columns.phone === null ? findPhoneNumber(row) : cell(row, columns.phone),
+    addons: cell(row, columns.addons),
+  }));
+  return { columns, records };
+}
+
+/**
+ * Parse an uploaded file into guest records.
+ * @param {Buffer} buffer
+ * @param {{ filename?: string, format?: ImportFormat, columns?: Record<string, string> }} [options]
+ */
+export async function parseGuestFile(buffer, options = {}) {
+  const format = options.format || detectImportFormat(options.filename);
+  if (format === 'vcf') {
+    return { format, columns: null, records: parseVcf(decodeText(buffer)) };
+  }
+  const rows = format === 'xlsx' ? await parseXlsx(buffer) : parseCsv(decodeText(buffer));
+  return { format, ...tableToRecords(rows, options.columns) };
+}
+
+/**
+ * Parse, de-duplicate and (unless dryRun) append new guests to the guest tab.
+ * @param {string} spreadsheetId guest sheet
+ * @param {Buffer} buffer file contents
+ * @param {{ filename?: string, format?: ImportFormat, columns?: Record<string, string>, sender: string, markToSend?: boolean, dryRun?: boolean }} options
+ */
+export async function importGuests(spreadsheetId, buffer, options) {
+  const sender = String(options.sender || '').trim();
+  if (!sender) {
+    throw importError('A sender is required (it is written to the sender column of every new guest)');
+  }
+  const { format, columns, records } = await parseGuestFile(buffer, options);
+  const { guests: existing } = await getGuestSheetRows(spreadsheetId, { fresh: true });
+  const existingByPhone = new Map(existing.filter((g) => g.phoneKey).map((g) => [g.phoneKey, g]));
+
+  const toAdd = [];
+  const duplicates = [];
+  const invalid = [];
+  const seen = new Map();
+  for (const record of records) {
+    const name = [record.firstName, record.familyName].filter(Boolean).join(' ');
+    if (!record.firstName) {
+      invalid.push({ source: record.source, name, phone: record.phone, reason: 'No name' });
+      continue;
+    }
+    const phoneKey = toE164(record.phone);
+    if (!phoneKey) {
+      invalid.push({ source: record.source, name, phone: record.phone, reason: record.phone ? 'Invalid phone number' : 'No phone number' });
+      continue;
+    }
+    const onList = existingByPhone.get(phoneKey);
+    if (onList) {
+      duplicates.push({ source: record.source, name, phone: phoneKey, existing: `${onList.fullName || '(no name)'} (row ${onList.rowNumber})` });
+      continue;
+    }
+    if (seen.has(phoneKey)) {
+      duplicates.push({ source: record.source, name, phone: phoneKey, existing: `${seen.get(phoneKey).name} (${seen.get(phoneKey).source} of this file)` });
+      continue;
+    }
+    seen.set(phoneKey, { name, source: record.source });
+    toAdd.push({
+      source: record.source,
+      firstName: record.firstName,
+      familyName: record.familyName,
+      phone: phoneKey,
+      addons: record.addons,
+      sender,
+      sendFlag: Boolean(options.markToSend),
+    });
+  }
+
+  const result = options.dryRun ? { appended: 0, updatedRange: null } : await appendGuestRows(spreadsheetId, toAdd);
+  return {
+    format,
+    columns,
+    dryRun: Boolean(options.dryRun),
+    summary: {
+      records: records.length,
+      new: toAdd.length,
+      duplicates: duplicates.length,
+      invalid: invalid.length,
+      appended: result.appended,
+    },
+    toAdd,
+    duplicates,
+    invalid,
+    updatedRange: result.updatedRange,
+  };
+}
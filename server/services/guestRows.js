@@ -0,0 +1,304 @@
+/**
+ * The guest list as a table: row 0 is the header, each later row one guest.
+ *
+ * Both storage backends (see storage.js) keep the guest list this way, so the column map
+ * (config/guestColumns.js), the import and validation tools and the per-event guest columns work
+ * the same on either. Everything here is pure: the backends read and write the rows.
+ */
+
+import { RSVP_WRITEBACK_FIELDS, findGuestColumn, resolveGuestColumns } from '../config/guestColumns.js';
+import { getEvents } from '../config/event.js';
+import { normalizeLocale } from '../config/locales.js';
+import { ambiguousPhoneError, normalizePhoneCell, toE164 } from './phone.js';
+import { partyMembers, seatsFromAddons } from './party.js';
+
+/**
+ * Where each event's guest column sits; `index` is undefined for an event every guest is invited
+ * to and null when its column is not in the sheet (nobody is invited).
+ * @param {string[]} headerRow
+ */
+export function eventGuestColumns(headerRow) {
+  return getEvents().map((event) => ({
+    event,
+    index: event.guestColumn ? findGuestColumn(headerRow, event.guestColumn) : undefined,
+  }));
+}
+
+/**
+ * Find phone number in a row (typically in columns with phone-like patterns)
+ * Looks for columns that match phone number patterns
+ */
+export function findPhoneNumber(row) {
+  const phonePattern = /[\d\s\-\+\(\)]{8,}/;
+  for (let i = 0; i < row.length; i++) {
+    const cell = normalizePhoneCell((row[i] || '').toString());
+    const digitsOnlyLen = cell.replace(/\D/g, '').length;
+    if (digitsOnlyLen >= 8 && phonePattern.test(cell)) {
+      return cell;
+    }
+  }
+  return '';
+}
+
+/**
+ * Map data rows (excluding header) to guest objects; does not filter by name/phone.
+ * Columns come from the guest column map (header names, GUEST_COLUMN_MAP, then default letters).
+ * @param {string[][]} rows full sheet including row 0 = header
+ */
+export function mapDataRowsToGuests(rows) {
+  if (rows.length <= 1) {
+    return [];
+  }
+  const { fields, extras } = resolveGuestColumns(rows[0]);
+  const cell = (row, col) => (col.index === null ? '' : (row[col.index] ?? '').toString());
+  const eventColumns = eventGuestColumns(rows[0]);
+
+  return rows.slice(1).map((row, index) => {
+    const firstName = cell(row, fields.firstName).trim();
+    const familyName = cell(row, fields.familyName).trim();
+    const fullName = [firstName, familyName].filter((n) => n).join(' ').trim();
+    const extra = {};
+    for (const [key, col] of Object.entries(extras)) {
+      extra[key] = cell(row, col).trim();
+    }
+    const phoneTo = fields.phone.index === null
+      ? findPhoneNumber(row)
+      : normalizePhoneCell(cell(row, fields.phone));
+    const addons = cell(row, fields.addons);
+    const seatsCell = parseInt(cell(row, fields.allowedSeats), 10);
+    return {
+      rowNumber: index + 2,
+      name: firstName,
+      fullName: fullName || firstName,
+      addons,
+      /** First name followed by the add-on names (see party.js); length 1 when add-ons are not names. */
+      party: partyMembers(firstName, addons),
+      /** Seats from the allowed-seats column, else judged from add-ons (null = no limit); see seats.js for exceptions. */
+      allowedSeats: seatsCell > 0 ? seatsCell : seatsFromAddons(firstName, addons),
+      allowedSeatsSource: seatsCell > 0 ? 'sheet' : 'addons',
+      /** From the language column; null = not set or not supported (see locales.js). */
+      language: normalizeLocale(cell(row, fields.language)),
+      /** Ids of the events this row is invited to: no guest column, or "v" in the event's column (see config/event.js). */
+      events: eventColumns
+        .filter(({ index }) => index === undefined || (index !== null && cell(row, { index }).trim().toLowerCase() === 'v'))
+        .map(({ event }) => event.id),
+      sendConfirmation: cell(row, fields.sendFlag).toLowerCase().trim(),
+      sender: cell(row, fields.sender),
+      phoneTo,
+      /** Canonical E.164 identity (null when the cell is not a complete number). */
+      phoneKey: toE164(phoneTo),
+      /** Written back by saveRSVPResponse when the sheet has an RSVP status column; '' = not answered. */
+      rsvpStatus: cell(row, fields.rsvpStatus).trim(),
+      extra,
+    };
+  });
+}
+
+/**
+ * Guests by E.164 phone (rows without a complete number are left out).
+ * @param {object[]} guests output of mapDataRowsToGuests
+ * @returns {Map<string, object[]>}
+ */
+export function indexGuestsByPhone(guests) {
+  const byPhone = new Map();
+  for (const guest of guests) {
+    if (!guest.phoneKey) {
+      continue;
+    }
+    if (!byPhone.has(guest.phoneKey)) {
+      byPhone.set(guest.phoneKey, []);
+    }
+    byPhone.get(guest.phoneKey).push(guest);
+  }
+  return byPhone;
+}
+
+/**
+ * Unique senders from the sender column (O by default) on every data row.
+ * (Do not derive from the guest list: that drops rows without name+phone, which would hide senders.)
+ * @param {string[][]} rows full sheet including row 0 = header
+ */
+export function sendersFromRows(rows) {
+  if (rows.length <= 1) {
+    return [];
+  }
+
+  const senderIndex = resolveGuestColumns(rows[0]).fields.sender.index;
+  if (senderIndex === null) {
+    return [];
+  }
+
+  const seen = new Set();
+  const ordered = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const raw = row[senderIndex];
+    const s = (raw !== undefined && raw !== null ? String(raw) : '').trim();
+    if (!s) {
+      continue;
+    }
+    if (seen.has(s)) {
+      continue;
+    }
+    seen.add(s);
+    ordered.push(s);
+  }
+
+  return ordered;
+}
+
+/**
+ * Pick the single row for a phone key among candidate rows.
+ * @throws 409 AMBIGUOUS_PHONE when several rows share the number
+ */
+function singleMatch(matches, phone) {
+  if (matches.length > 1) {
+    throw ambiguousPhoneError(phone, matches.map((g) => g.rowNumber));
+  }
+  return matches[0] || null;
+}
+
+/**
+ * The listed guest (has a name and a phone) owning an E.164 key.
+ * @param {Map<string, object[]>} byPhone see indexGuestsByPhone
+ * @throws 409 AMBIGUOUS_PHONE when two listed guests share the number
+ */
+export function matchListedGuest(byPhone, key) {
+  const listed = (byPhone.get(key) || []).filter((g) => g.name && g.phoneTo);
+  return singleMatch(listed, key);
+}
+
+/**
+ * Find the sheet row whose phone matches (any row, including ones without a name).
+ * @param {object[]} guests output of mapDataRowsToGuests
+ * @param {string} phone
+ * @throws 409 AMBIGUOUS_PHONE when several rows share the number
+ */
+export function findGuestRowByPhone(guests, phone) {
+  const key = toE164(phone);
+  if (!key) {
+    return null;
+  }
+  return singleMatch(guests.filter((g) => g.phoneKey === key), key);
+}
+
+/**
+ * Where each send flag update goes: one result per update and the cell of each row it changes
+ * (the last update per row wins). Unknown phones do not abort the batch.
+ * @param {string[][]} rows full sheet including row 0 = header
+ * @param {object[]} guests output of mapDataRowsToGuests
+ * @param {Array<{ phone: string, shouldSend: boolean }>} updates
+ * @returns {{ cells: Map<number, { rowNumber: number, index: number, value: string }>, results: Array<{ phone: string, shouldSend: boolean, success: boolean, rowNumber?: number, error?: string }> }}
+ */
+export function sendFlagCells(rows, guests, updates) {
+  if (rows.length === 0) {
+    throw new Error('No data found in sheet');
+  }
+  const index = resolveGuestColumns(rows[0]).fields.sendFlag.index;
+  if (index === null) {
+    throw new Error('Send confirmation column not found in guest sheet');
+  }
+
+  const cells = new Map();
+  const results = updates.map(({ phone, shouldSend }) => {
+    let guest;
+    try {
+      guest = findGuestRowByPhone(guests, phone);
+    } catch (error) {
+      return { phone, shouldSend, success: false, error: error.message };
+    }
+    if (!guest) {
+      return { phone, shouldSend, success: false, error: 'Guest with this phone number not found' };
+    }
+    cells.set(guest.rowNumber, { rowNumber: guest.rowNumber, index, value: shouldSend ? 'v' : '' });
+    return { phone, shouldSend, success: true, rowNumber: guest.rowNumber };
+  });
+  return { cells, results };
+}
+
+/**
+ * New guest rows, each value in its mapped column (import tool).
+ * @param {string[]} headerRow
+ * @param {{ firstName: string, familyName?: string, phone: string, addons?: string, sender: string, sendFlag?: boolean }[]} newGuests
+ * @throws 400 when the sheet has no phone column
+ */
+export function newGuestRows(headerRow, newGuests) {
+  const { fields } = resolveGuestColumns(headerRow);
+  if (fields.phone.index === null) {
+    throw Object.assign(
+      new Error('The guest sheet has no phone column; add a "טלפון" header (or set phone in GUEST_COLUMN_MAP) before importing'),
+      { status: 400 },
+    );
+  }
+
+  const width = Math.max(...Object.values(fields).map((c) => (c.index ?? -1) + 1));
+  return newGuests.map((guest) => {
+    const row = Array(width).fill('');
+    const put = (field, value) => {
+      if (fields[field].index !== null && value) {
+        row[fields[field].index] = value;
+      }
+    };
+    put('firstName', guest.firstName);
+    put('familyName', guest.familyName);
+    put('phone', guest.phone);
+    put('addons', guest.addons);
+    put('sender', guest.sender);
+    put('sendFlag', guest.sendFlag ? 'v' : '');
+    return row;
+  });
+}
+
+/**
+ * The cells an RSVP copies onto the guest's own row (status / headcount / timestamp columns, each
+ * optional), so the family can filter "not answered" in the guest tab. The row is found the same
+ * way a guest lookup finds it; an unknown or shared number is logged and skipped.
+ * @param {string[][]} rows full sheet including row 0 = header
+ * @param {Map<string, object[]>} byPhone see indexGuestsByPhone
+ * @param {string} phoneKey E.164
+ * @param {{ status: string, headcount: number, timestamp: string }} answer
+ * @returns {{ rowNumber: number, index: number, value: string }[]} empty when nothing is written
+ */
+export function rsvpWritebackCells(rows, byPhone, phoneKey, answer) {
+  const { fields } = resolveGuestColumns(rows[0] || []);
+  const columns = RSVP_WRITEBACK_FIELDS.filter((field) => fields[field].index !== null);
+  if (!columns.length) {
+    return [];
+  }
+
+  let guest;
+  try {
+    guest = matchListedGuest(byPhone, phoneKey);
+  } catch (error) {
+    console.warn(`RSVP not copied to the guest list: ${error.message}`);
+    return [];
+  }
+  if (!guest) {
+    console.warn(`RSVP not copied to the guest list: no guest row for ${phoneKey}`);
+    return [];
+  }
+
+  const cellValues = {
+    rsvpStatus: answer.status,
+    rsvpHeadcount: String(answer.headcount),
+    rsvpTimestamp: answer.timestamp,
+  };
+  return columns.map((field) => ({ rowNumber: guest.rowNumber, index: fields[field].index, value: cellValues[field] }));
+}
+
+/**
+ * Filter guests by sender and send confirmation status
+ * @param {Array} guests - Array of guest objects
+ * @param {string} senderName - Name of sender to filter by (Hebrew)
+ * @returns {Array} Filtered guests
+ */
+export function filterGuestsBySender(guests, senderName) {
+  return guests.filter(guest => {
+    // Filter by sender
+    const matchesSender = guest.sender && guest.sender.trim() === senderName.trim();
+    // Filter by send confirmation (column N must have "v")
+    const shouldSend = guest.sendConfirmation === 'v' || guest.sendConfirmation === 'V';
+    return matchesSender && shouldSend;
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Guest list validation report (admin page + `npm run validate:guests`).
+ *
+ * Reads the guest tab the same way the send flow does (mapDataRowsToGuests / findPhoneNumber /
+ * getSenders) and lists, row by row, what would otherwise surface mid-campaign: missing or
+ * malformed phones, duplicate and shared numbers, unknown senders, odd add-ons cells.
+ *
+ * Environment (optional):
+ * - GUEST_SENDERS — comma-separated list of valid senders; rows naming anyone else are errors.
+ */
+
+import { describeGuestColumns, guestSheetTab, resolveGuestColumns } from '../config/guestColumns.js';
+import { SUPPORTED_LOCALES } from '../config/locales.js';
+import { findPhoneNumber } from './guestRows.js';
+import { getGuestSheetRows, getSenders } from './storage.js';
+import { addonsProblem } from './party.js';
+
+/** @typedef {{ level: 'error' | 'warning', code: string, message: string }} GuestIssue */
+/** @typedef {{ rowNumber: number, name: string, phone: string, sender: string, issues: GuestIssue[] }} GuestRowReport */
+
+function configuredSenders() {
+  return String(process.env.GUEST_SENDERS || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+/** Case/whitespace-insensitive sender key, used to spot "יובל" vs "יובל " vs "Yuval"/"yuval". */
+function senderKey(sender) {
+  return String(sender || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function isBlankRow(row) {
+  return !row || row.every((cell) => String(cell ?? '').trim() === '');
+}
+
+/**
+ * Build the row-by-row report.
+ * @param {string} spreadsheetId
+ * @param {{ fresh?: boolean }} [options] fresh: bypass the guest cache (default true)
+ */
+export async function validateGuestList(spreadsheetId, options = {}) {
+  const { rows, guests } = await getGuestSheetRows(spreadsheetId, { fresh: options.fresh !== false });
+  const headerRow = rows[0] || [];
+  const columns = resolveGuestColumns(headerRow);
+  const senders = await getSenders(spreadsheetId);
+  const knownSenders = configuredSenders();
+  const knownKeys = new Set(knownSenders.map(senderKey));
+
+  /** @type {Map<string, typeof guests>} */
+  const byPhoneKey = new Map();
+  for (const guest of guests) {
+    if (!guest.phoneKey) {
+      continue;
+    }
+    if (!byPhoneKey.has(guest.phoneKey)) {
+      byPhoneKey.set(guest.phoneKey, []);
+    }
+    byPhoneKey.get(guest.phoneKey).push(guest);
+  }
+
+  /** @type {Map<string, Set<string>>} normalized sender → spellings seen */
+  const senderSpellings = new Map();
+  for (const sender of senders) {
+    const key = senderKey(sender);
+    if (!senderSpellings.has(key)) {
+      senderSpellings.set(key, new Set());
+    }
+    senderSpellings.get(key).add(sender);
+  }
+
+  /** @type {GuestRowReport[]} */
+  const reportRows = [];
+
+  guests.forEach((guest) => {
+    const row = rows[guest.rowNumber - 1];
+    if (isBlankRow(row)) {
+      return;
+    }
+    /** @type {GuestIssue[]} */
+    const issues = [];
+    const error = (code, message) => issues.push({ level: 'error', code, message });
+    const warning = (code, message) => issues.push({ level: 'warning', code, message });
+    const sender = String(guest.sender || '').trim();
+    const wantsSend = guest.sendConfirmation === 'v';
+
+    if (!guest.name) {
+      error('NO_NAME', 'First name is empty; the row is skipped by the send flow');
+    }
+
+    if (!guest.phoneTo) {
+      error('NO_PHONE', 'No phone number found in this row');
+    } else if (!guest.phoneKey) {
+      error('INVALID_PHONE', `"${guest.phoneTo}" is not a complete phone number`);
+    } else {
+      const sharing = byPhoneKey.get(guest.phoneKey).filter((g) => g.rowNumber !== guest.rowNumber);
+      if (sharing.length) {
+        const sameName = sharing.filter((g) => g.fullName === guest.fullName);
+        const others = sharing.filter((g) => g.fullName !== guest.fullName);
+        if (sameName.length) {
+          error('DUPLICATE_PHONE', `Duplicate of row ${sameName.map((g) => g.rowNumber).join(', ')}`);
+        }
+        if (others.length) {
+          error(
+            'SHARED_PHONE',
+            `Same number as ${others.map((g) => `${g.fullName || '(no name)'} (row ${g.rowNumber})`).join(', ')}`,
+          );
+        }
+      }
+      if (columns.fields.phone.index === null && row.filter((c) => findPhoneNumber([c])).length > 1) {
+        warning('PHONE_GUESSED', `Several cells look like phone numbers; using "${guest.phoneTo}"`);
+      }
+    }
+
+    if (!sender) {
+      if (wantsSend) {
+        error('NO_SENDER', 'Marked to send but the sender column is empty');
+      }
+    } else if (knownSenders.length && !knownKeys.has(senderKey(sender))) {
+      error('UNKNOWN_SENDER', `Unknown sender "${sender}" (expected one of: ${knownSenders.join(', ')})`);
+    } else if ((senderSpellings.get(senderKey(sender))?.size || 0) > 1) {
+      warning(
+        'SENDER_VARIANT',
+        `Sender is spelled several ways: ${[...senderSpellings.get(senderKey(sender))].map((s) => `"${s}"`).join(', ')}`,
+      );
+    }
+
+    if (guest.sendConfirmation && !wantsSend) {
+      warning('SEND_FLAG_VALUE', `Send flag is "${guest.sendConfirmation}"; only "v" marks a guest to send`);
+    }
+
+    const addons = addonsProblem(guest.addons);
+    if (addons) {
+      warning('ADDONS_FORMAT', `Add-ons "${String(guest.addons).trim()}" ${addons}`);
+    }
+
+    const language = columns.fields.language.index === null ? '' : String(row[columns.fields.language.index] ?? '').trim();
+    if (language && !guest.language) {
+      warning('LANGUAGE_VALUE', `Language "${language}" is not supported (expected ${SUPPORTED_LOCALES.join(', ')}); the default is used`);
+    }
+
+    if (issues.length) {
+      reportRows.push({
+        rowNumber: guest.rowNumber,
+        name: guest.fullName || guest.name || '',
+        phone: guest.phoneTo || '',
+        sender,
+        issues,
+      });
+    }
+  });
+
+  const all = reportRows.flatMap((r) => r.issues);
+  const errors = all.filter((i) => i.level === 'error').length;
+  return {
+    generatedAt: new Date().toISOString(),
+    tab: guestSheetTab(),
+    columns: describeGuestColumns(columns, headerRow),
+    missingColumns: columns.missing,
+    senders,
+    summary: {
+      rows: guests.filter((g) => !isBlankRow(rows[g.rowNumber - 1])).length,
+      rowsWithErrors: reportRows.filter((r) => r.issues.some((i) => i.level === 'error')).length,
+      errors,
+      warnings: all.length - errors,
+    },
+    rows: reportRows,
+  };
+}
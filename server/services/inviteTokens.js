@@ -0,0 +1,149 @@
+/**
+ * Signed per-guest invitation links.
+ *
+ * A token is `<payload>.<signature>`: the payload is the guest's E.164 phone (plus an optional
+ * expiry), base64url-encoded, signed with HMAC-SHA256. The landing page sends it back with the RSVP
+ * and gift checkout, and the server resolves it to the guest row — guests cannot swap in another
+ * number, and the API does not answer for phone numbers it was not given a token for.
+ *
+ * Environment:
+ * - INVITE_TOKEN_SECRET — signing key (long random string). Changing it invalidates every link sent.
+ * - INVITE_TOKEN_TTL_DAYS — optional; links stop working this many days after they were issued (default: never).
+ * - ALLOW_PHONE_LINKS — `true` keeps the legacy `?phone=` links (and phone-only API calls) working.
+ * - RSVP_BASE_URL — landing page URL; when set, invitations include the guest's personal link.
+ */
+
+import crypto from 'crypto';
+import { envGuestSheetId } from '../config/loadEnv.js';
+import { getGuestByPhone } from './storage.js';
+import { toE164 } from './phone.js';
+
+/** Signature bytes kept in the token (128 bits; keeps WhatsApp links short). */
+const SIGNATURE_BYTES = 16;
+
+let warnedNoLinkMode = false;
+
+function tokenError(message, status) {
+  return Object.assign(new Error(message), { status });
+}
+
+function secret() {
+  return String(process.env.INVITE_TOKEN_SECRET || '').trim();
+}
+
+/** True when signed links can be issued. */
+export function inviteTokensEnabled() {
+  return Boolean(secret());
+}
+
+/** Legacy `?phone=` links: on with ALLOW_PHONE_LINKS=true. */
+export function phoneLinksAllowed() {
+  return /^(1|true|yes)$/i.test(String(process.env.ALLOW_PHONE_LINKS || '').trim());
+}
+
+function sign(payload) {
+  return crypto.createHmac('sha256', secret()).update(payload).digest().subarray(0, SIGNATURE_BYTES).toString('base64url');
+}
+
+/**
+ * @param {string} phone any format toE164 accepts
+ * @param {{ ttlDays?: number }} [options] defaults to INVITE_TOKEN_TTL_DAYS
+ * @returns {string}
+ */
+export function createInviteToken(phone, options = {}) {
+  if (!inviteTokensEnabled()) {
+    throw tokenError('INVITE_TOKEN_SECRET is not set', 500);
+  }
+  const e164 = toE164(phone);
+  if (!e164) {
+    throw tokenError(`Cannot issue an invitation link for "${phone}": not a valid phone number`, 400);
+  }
+  const ttlDays = options.ttlDays ?? parseFloat(process.env.INVITE_TOKEN_TTL_DAYS || '');
+  const expiresAt = Number.isFinite(ttlDays) && ttlDays > 0 ? Math.floor(Date.now() / 1000 + ttlDays * 86400) : null;
+  const payload = Buffer.from(expiresAt ? `${e164}|${expiresAt.toString(36)}` : e164).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Check the signature and expiry.
+ * @param {string} token
+ * @returns {{ phone: string, expiresAt: string | null }} phone in E.164
+ */
+export function verifyInviteToken(token) {
+  if (!inviteTokensEnabled()) {
+    throw tokenError('Invitation links are not configured', 500);
+  }
+  const [payload, signature, extra] = String(token || '').split('.');
+  if (!payload || !signature || extra !== undefined) {
+    throw tokenError('Invalid invitation link', 401);
+  }
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw tokenError('Invalid invitation link', 401);
+  }
+
+  const [phone, exp] = Buffer.from(payload, 'base64url').toString('utf8').split('|');
+  const expiresAt = exp ? parseInt(exp, 36) * 1000 : null;
+  if (expiresAt && Date.now() > expiresAt) {
+    throw tokenError('This invitation link has expired', 410);
+  }
+  return { phone, expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null };
+}
+
+/**
+ * The guest's personal landing page link: signed when INVITE_TOKEN_SECRET is set, `?phone=` in
+ * legacy mode, otherwise null (also null without RSVP_BASE_URL).
+ * @param {string} phone
+ * @param {string} [eventId] opens the page on this event (`&event=`); the token does not cover it
+ * @returns {string | null}
+ */
+export function inviteLink(phone, eventId) {
+  const base = String(process.env.RSVP_BASE_URL || '').trim();
+  if (!base) {
+    return null;
+  }
+  const url = new URL(base);
+  if (inviteTokensEnabled()) {
+    url.searchParams.set('t', createInviteToken(phone));
+  } else if (phoneLinksAllowed()) {
+    url.searchParams.set('phone', toE164(phone) || phone);
+  } else {
+    if (!warnedNoLinkMode) {
+      warnedNoLinkMode = true;
+      console.warn('[invite] RSVP_BASE_URL is set but INVITE_TOKEN_SECRET is not; invitations are sent without a link');
+    }
+    return null;
+  }
+  if (eventId) {
+    url.searchParams.set('event', eventId);
+  }
+  return url.toString();
+}
+
+/**
+ * Shared guest lookup for the landing page APIs: a signed token, or a raw phone when
+ * ALLOW_PHONE_LINKS is on. Throws with `status` (401 no/invalid link, 410 expired, 404 not on the list).
+ * @param {{ token?: string, phone?: string }} credentials
+ * @returns {Promise<object>} guest row (see mapDataRowsToGuests)
+ */
+export async function resolveInviteGuest({ token, phone }) {
+  let key;
+  if (token) {
+    key = verifyInviteToken(token).phone;
+  } else if (phone && phoneLinksAllowed()) {
+    key = phone;
+  } else {
+    throw tokenError('Please use the personal link from your invitation', 401);
+  }
+
+  const guestSheetId = envGuestSheetId();
+  if (!guestSheetId) {
+    throw tokenError('Guest sheet not configured', 500);
+  }
+  const guest = await getGuestByPhone(guestSheetId, key);
+  if (!guest) {
+    throw tokenError('Guest not found', 404);
+  }
+  return guest;
+}
@@ -0,0 +1,309 @@
+/**
+ * Local storage backend (STORAGE_BACKEND=local): guests and RSVP answers in one JSON file, so the
+ * app runs, demos and can be tried without a Google service account. See storage.js for the
+ * interface; call through it.
+ *
+ * The guest list is a table like the guest tab (row 0 = header, one row per guest; see
+ * guestRows.js), created on first start with one example guest. Add guests by editing the file.
+ * Answers and their history are kept per event as records. Spreadsheet ids are ignored: the file
+ * is the only store.
+ *
+ * Environment (optional):
+ * - LOCAL_STORE_FILE — JSON file path (default server/data/local-store.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { findEvent, getEvents } from '../config/event.js';
+import { getRSVPQuestions } from '../config/rsvpQuestions.js';
+import {
+  findGuestRowByPhone,
+  indexGuestsByPhone,
+  mapDataRowsToGuests,
+  matchListedGuest,
+  newGuestRows,
+  rsvpWritebackCells,
+  sendFlagCells,
+  sendersFromRows,
+} from './guestRows.js';
+import { toE164 } from './phone.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'local-store.json');
+
+/** @typedef {Omit<import('./storage.js').RSVPRow, 'rowNumber'>} StoredResponse */
+/** @typedef {Omit<import('./storage.js').RSVPRevision, 'rowNumber'>} StoredRevision */
+/**
+ * @typedef {object} LocalStoreState
+ * @property {string[][]} guests row 0 = header
+ * @property {Record<string, { responses: StoredResponse[], history: StoredRevision[] }>} events keyed by event id
+ */
+
+/** Resolved path of the JSON file. */
+export function localStoreFile() {
+  const raw = (process.env.LOCAL_STORE_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+/**
+ * First-run guest list: the same column layout as the real sheet plus one example row, so the
+ * landing page and admin flow can be tried right away.
+ * @returns {string[][]}
+ */
+function seedGuests() {
+  const header = Array(19).fill('');
+  header[0] = 'שם פרטי';
+  header[1] = 'שם משפחה';
+  header[11] = 'מצטרפים';
+  header[13] = 'לשלוח אישורי הגעה';
+  header[14] = 'שולח';
+  header[15] = 'טלפון';
+  header[16] = 'סטטוס אישור הגעה';
+  header[17] = 'מספר מגיעים';
+  header[18] = 'תאריך תשובה';
+  // A column per event that has its own guest list (see config/event.js), with the example invited
+  const eventColumns = getEvents().filter((event) => event.guestColumn).map((event) => event.guestColumn);
+  header.push(...eventColumns);
+  const example = Array(eventColumns.length ? header.length : 16).fill('');
+  example.fill('v', header.length - eventColumns.length);
+  example[0] = 'אורח';
+  example[1] = 'לדוגמה';
+  example[13] = 'v';
+  example[14] = 'Demo';
+  example[15] = '050-0000000';
+  return [header, example];
+}
+
+/** One guest row per line keeps the file easy to edit by hand. */
+function serializeState(state) {
+  const rows = state.guests.map((row) => `    ${JSON.stringify(row)}`).join(',\n');
+  const events = JSON.stringify(state.events, null, 2).replace(/\n/g, '\n  ');
+  return `{\n  "guests": [${rows ? `\n${rows}\n  ` : ''}],\n  "events": ${events}\n}\n`;
+}
+
+function writeState(state) {
+  const file = localStoreFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, serializeState(state), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * The whole store, created with the example guest when the file does not exist yet. Callers read,
+ * change and write it without awaiting in between, so concurrent requests cannot interleave.
+ * @returns {LocalStoreState}
+ */
+function readState() {
+  const file = localStoreFile();
+  if (!fs.existsSync(file)) {
+    const initial = { guests: seedGuests(), events: {} };
+    writeState(initial);
+    return initial;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw Object.assign(new Error(`Local store is unreadable (${file}): ${error.message}`), { status: 500 });
+  }
+  return {
+    guests: Array.isArray(parsed?.guests) ? parsed.guests.map((row) => (Array.isArray(row) ? row.map((c) => String(c ?? '')) : [])) : [],
+    events: parsed?.events && typeof parsed.events === 'object' ? parsed.events : {},
+  };
+}
+
+/** The event's answers and history, created empty on first use. */
+function eventRecords(state, eventId) {
+  const { id } = findEvent(eventId);
+  if (!state.events[id]) {
+    state.events[id] = { responses: [], history: [] };
+  }
+  return state.events[id];
+}
+
+/** Set cells of guest rows, widening a row when the column is past its end. */
+function setGuestCells(state, cells) {
+  for (const { rowNumber, index, value } of cells) {
+    const row = state.guests[rowNumber - 1];
+    while (row.length <= index) {
+      row.push('');
+    }
+    row[index] = value;
+  }
+}
+
+/** Create the file when it does not exist yet. */
+export async function configureLocalStore() {
+  readState();
+  console.log(`Local storage configured (${localStoreFile()})`);
+}
+
+// The functions below implement StorageBackend (see storage.js)
+
+export async function getGuestSheetRows() {
+  const { guests: rows } = readState();
+  return { rows, guests: mapDataRowsToGuests(rows) };
+}
+
+export async function getGuestList() {
+  const { guests } = await getGuestSheetRows();
+  return guests.filter((guest) => guest.name && guest.phoneTo);
+}
+
+export async function getGuestByPhone(_guestSheetId, phone) {
+  const key = toE164(phone);
+  if (!key) {
+    return null;
+  }
+  const { guests } = await getGuestSheetRows();
+  return matchListedGuest(indexGuestsByPhone(guests), key);
+}
+
+export async function getSenders() {
+  return sendersFromRows(readState().guests);
+}
+
+export async function updateSendConfirmation(_guestSheetId, phone, shouldSend = false) {
+  const state = readState();
+  const guest = findGuestRowByPhone(mapDataRowsToGuests(state.guests), phone);
+  if (!guest) {
+    throw new Error('Guest with this phone number not found');
+  }
+  const { cells } = sendFlagCells(state.guests, [guest], [{ phone, shouldSend }]);
+  setGuestCells(state, cells.values());
+  writeState(state);
+  return { success: true, rowNumber: guest.rowNumber };
+}
+
+export async function updateSendConfirmations(_guestSheetId, updates) {
+  const state = readState();
+  const { cells, results } = sendFlagCells(state.guests, mapDataRowsToGuests(state.guests), updates);
+  if (cells.size > 0) {
+    setGuestCells(state, cells.values());
+    writeState(state);
+  }
+  const updated = results.filter((r) => r.success).length;
+  return { updated, failed: results.length - updated, results };
+}
+
+export async function appendGuestRows(_guestSheetId, newGuests) {
+  if (newGuests.length === 0) {
+    return { appended: 0, updatedRange: null };
+  }
+  const state = readState();
+  const values = newGuestRows(state.guests[0] || [], newGuests);
+  state.guests.push(...values);
+  writeState(state);
+  return { appended: values.length, updatedRange: null };
+}
+
+/** Fields compared to decide whether a re-submission changed the answer. */
+const ANSWER_FIELDS = ['status', 'numberOfGuests', 'numberOfBabies', 'numberOfVegan', 'additionalNotes', 'attendees'];
+
+/** @param {StoredResponse} a @param {StoredResponse} b */
+function sameAnswer(a, b) {
+  return (
+    ANSWER_FIELDS.every((field) => a[field] === b[field]) &&
+    getRSVPQuestions().every(({ id }) => JSON.stringify(a.answers?.[id]) === JSON.stringify(b.answers?.[id]))
+  );
+}
+
+/**
+ * @param {string} _responseSheetId
+ * @param {import('./storage.js').RSVPResponse} response
+ * @returns {Promise<{ success: true, change: 'new' | 'changed' | 'unchanged' }>}
+ */
+export async function saveRSVPResponse(_responseSheetId, response) {
+  const {
+    eventId,
+    name,
+    phone,
+    isAttending,
+    numberOfGuests,
+    numberOfBabies = 0,
+    numberOfVegan = 0,
+    additionalNotes = '',
+    attendees = [],
+    answers = {},
+    submittedAt,
+  } = response;
+
+  const phoneKey = toE164(phone);
+  if (!phoneKey) {
+    throw Object.assign(new Error('Invalid phone number'), { status: 400 });
+  }
+
+  const state = readState();
+  const records = eventRecords(state, eventId);
+  /** @type {StoredResponse} */
+  const record = {
+    timestamp: submittedAt || new Date().toISOString(),
+    name,
+    phone: phoneKey,
+    status: isAttending ? 'Yes' : 'No',
+    numberOfGuests,
+    numberOfBabies,
+    numberOfVegan,
+    additionalNotes,
+    attendees: attendees.join(', '),
+    answers,
+  };
+
+  const existingIndex = records.responses.findIndex((r) => r.phone === phoneKey);
+  const previous = existingIndex === -1 ? null : records.responses[existingIndex];
+  const change = !previous ? 'new' : sameAnswer(previous, record) ? 'unchanged' : 'changed';
+
+  // A retried write (RSVP queue) finds its own revision by phone + timestamp and is not logged twice
+  if (!records.history.some((r) => r.phone === phoneKey && r.timestamp === record.timestamp)) {
+    records.history.push({
+      ...record,
+      change,
+      previousStatus: previous?.status ?? '',
+      previousGuests: previous ? String(previous.numberOfGuests) : '',
+    });
+  }
+  if (previous) {
+    records.responses[existingIndex] = record;
+  } else {
+    records.responses.push(record);
+  }
+
+  // The guest list's RSVP columns describe the first event
+  if (findEvent(eventId) === getEvents()[0]) {
+    const guests = mapDataRowsToGuests(state.guests);
+    setGuestCells(
+      state,
+      rsvpWritebackCells(state.guests, indexGuestsByPhone(guests), phoneKey, {
+        status: record.status,
+        headcount: isAttending ? numberOfGuests : 0,
+        timestamp: record.timestamp,
+      }),
+    );
+  }
+
+  writeState(state);
+  return { success: true, change };
+}
+
+export async function getRSVPResponses(_responseSheetId, eventId) {
+  const { responses } = eventRecords(readState(), eventId);
+  return responses.map((record, index) => ({ rowNumber: index + 1, ...record, answers: record.answers || {} }));
+}
+
+export async function getRSVPHistory(_responseSheetId, eventId) {
+  const { history } = eventRecords(readState(), eventId);
+  return history
+    .map((revision, index) => ({ rowNumber: index + 1, ...revision, answers: revision.answers || {} }))
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/** Nothing to set up beyond the file; checks the event id like the Sheets backend does. */
+export async function initializeResponseSheet(_responseSheetId, eventId) {
+  findEvent(eventId);
+  readState();
+}
@@ -0,0 +1,125 @@
+/**
+ * Household / party model parsed from the guest sheet's add-ons cell.
+ *
+ * The cell lists who comes along with the guest, in the shapes the sheet already uses:
+ * "מתן", "עמרי ומתן", "יובל, עמרי ומתן". Each guest gets `party`: the guest's first name
+ * followed by every add-on name, so the landing page can ask who exactly is coming.
+ * Cells that are not names (headcounts such as "2" or "+1") give no named members and the
+ * landing page falls back to asking for a number.
+ */
+
+/**
+ * Strip bidi marks Google Sheets sometimes inserts around Hebrew text.
+ */
+export function normalizeAddonsCell(addonsStr) {
+  return String(addonsStr || '')
+    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+    .trim();
+}
+
+/**
+ * Add-ons should be names: "מתן", "עמרי ומתן", "יובל, עמרי ומתן".
+ * @returns {string | null} what looks wrong, or null
+ */
+export function addonsProblem(raw) {
+  const s = normalizeAddonsCell(raw);
+  if (!s) {
+    return null;
+  }
+  if (/\d/.test(s)) {
+    return 'contains digits (use names, not a headcount)';
+  }
+  if (/^[,\s]|[,]\s*$/.test(s) || /,\s*,/.test(s)) {
+    return 'has an empty entry between commas';
+  }
+  if (/(^|\s)ו\s*$/.test(s)) {
+    return 'ends with a dangling "ו"';
+  }
+  if (/[;/|+&\n]/.test(s)) {
+    return 'uses an unsupported separator (use commas and "ו")';
+  }
+  return null;
+}
+
+/**
+ * Names listed in an add-ons cell. Commas separate names; a conjunctive ו (whitespace before it,
+ * e.g. "עמרי ומתן") does too, while a ו inside a name ("יובל", "ורד") does not.
+ * @returns {string[]} empty when the cell is blank or is a headcount rather than names
+ */
+export function parseAddons(raw) {
+  const s = normalizeAddonsCell(raw);
+  if (!s || /\d/.test(s)) {
+    return [];
+  }
+  return s
+    .split(/[,;/|+&\n]/)
+    .flatMap((chunk) => chunk.split(/[\s\u00A0\u2009\u202F]+ו\s*(?=\S)/))
+    .map((name) => name.replace(/\s+/g, ' ').trim())
+    .filter((name) => name && name !== 'ו');
+}
+
+/**
+ * Everyone invited on the guest's row: the guest first, then the add-on names.
+ * @param {string} guestName first name from the sheet
+ * @param {string} addonsRaw add-ons cell
+ * @returns {string[]}
+ */
+export function partyMembers(guestName, addonsRaw) {
+  const name = String(guestName || '').trim();
+  return [...(name ? [name] : []), ...parseAddons(addonsRaw)];
+}
+
+/**
+ * Seats the row was invited for, judged from the add-ons cell: the party size for names, 1 + N for
+ * a headcount ("2", "+1"). null (no limit) when the cell is empty, since family rows often leave it
+ * empty, or when it mixes text and digits.
+ * @param {string} guestName
+ * @param {string} addonsRaw
+ * @returns {number | null}
+ */
+export function seatsFromAddons(guestName, addonsRaw) {
+  const s = normalizeAddonsCell(addonsRaw);
+  if (!s) {
+    return null;
+  }
+  const headcount = s.match(/^\+?\s*(\d{1,2})$/);
+  if (headcount) {
+    return 1 + parseInt(headcount[1], 10);
+  }
+  if (/\d/.test(s)) {
+    return null;
+  }
+  return Math.max(1, partyMembers(guestName, addonsRaw).length);
+}
+
+/**
+ * Names as a list: "מתן", "עמרי ומתן", "יובל, עמרי ומתן" (English "Yuval, Omri and Matan", Russian "… и …").
+ * @param {string[]} names
+ * @param {import('../config/locales.js').Locale} [locale]
+ */
+export function formatPartyNames(names, locale = 'he') {
+  if (names.length <= 1) {
+    return names.join('');
+  }
+  const last = names[names.length - 1];
+  const and = locale === 'en' ? ` and ${last}` : locale === 'ru' ? ` и ${last}` : ` ו${last}`;
+  return `${names.slice(0, -1).join(', ')}${and}`;
+}
+
+/**
+ * Check the attendee names a guest ticked against the party on their row.
+ * @param {string[]} party from partyMembers
+ * @param {unknown} attendees request body value
+ * @returns {string[]} trimmed, de-duplicated names in party order
+ */
+export function resolveAttendees(party, attendees) {
+  if (!Array.isArray(attendees) || attendees.some((a) => typeof a !== 'string')) {
+    throw Object.assign(new Error('attendees must be a list of names'), { status: 400 });
+  }
+  const picked = new Set(attendees.map((a) => a.replace(/\s+/g, ' ').trim()).filter(Boolean));
+  const unknown = [...picked].filter((a) => !party.includes(a));
+  if (unknown.length) {
+    throw Object.assign(new Error(`Not on this invitation: ${unknown.join(', ')}`), { status: 400 });
+  }
+  return party.filter((member) => picked.has(member));
+}
@@ -1,6 +1,7 @@
 /**
  * Payment routing between personal Bit / PayBox links.
- * Persists totals and thresholds in server/data/payment-routing.json.
+ * Persists totals and thresholds in server/data/payment-routing.json; the links themselves and
+ * their starting URLs and thresholds come from the event config's `paymentLinks`.
  *
  * Note: personal Bit/PayBox links do not notify this app when payment completes.
  * Guest "pay" clicks record an intent amount against the active link; admins can correct totals.
@@ -9,6 +10,7 @@
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { getEventConfig } from '../config/event.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '..', 'data');
@@ -17,49 +19,12 @@ const DATA_FILE = path.join(DATA_DIR, 'payment-routing.json');
 /** @typedef {{ id: string, label: string, provider: 'paybox' | 'bit', owner: string, url: string, threshold: number, currentSum: number }} PaymentLink */
 /** @typedef {{ mode: 'auto' | 'manual', manualLinkId: string | null, links: PaymentLink[], history: Array<{ id: string, timestamp: string, linkId: string, amount: number, source: string, note?: string }> }} PaymentState */
 
-/** @returns {PaymentState} */
+/** @returns {PaymentState} Links come from the event config (see config/event.js). */
 function defaultState() {
   return {
     mode: 'auto',
     manualLinkId: null,
-    links: [
-      {
-        id: 'danielle-paybox',
-        label: "Danielle's PayBox",
-        provider: 'paybox',
-        owner: 'danielle',
-        url: 'https://links.payboxapp.com/0GY5mgJlQ4b',
-        threshold: 20000,
-        currentSum: 0,
-      },
-      {
-        id: 'yuval-paybox',
-        label: "Yuval's PayBox",
-        provider: 'paybox',
-        owner: 'yuval',
-        url: 'https://links.payboxapp.com/CaM4W2RGy4b',
-        threshold: 20000,
-        currentSum: 0,
-      },
-      {
-        id: 'danielle-bit',
-        label: "Danielle's Bit",
-        provider: 'bit',
-        owner: 'danielle',
-        url: 'https://www.bitpay.co.il/app/me/8583B20C-F2B6-1E4E-0480-7EAEBE6D88D33F2A',
-        threshold: 10000,
-        currentSum: 0,
-      },
-      {
-        id: 'yuval-bit',
-        label: "Yuval's Bit",
-        provider: 'bit',
-        owner: 'yuval',
-        url: 'https://www.bitpay.co.il/app/me/B2959BBF-6DA3-CCA7-E778-A221BAE7B7D3A173',
-        threshold: 10000,
-        currentSum: 0,
-      },
-    ],
+    links: getEventConfig().paymentLinks.map((link) => ({ ...link, currentSum: 0 })),
     history: [],
   };
 }
@@ -0,0 +1,83 @@
+/**
+ * Canonical phone identity.
+ *
+ * Guest lookups, RSVP dedupe and sheet writes all key on the strict E.164 form produced by
+ * toE164 ("+972501234567"), so "050-123-4567", "+972 50 123 4567" and "972501234567" are the
+ * same guest while partial or malformed numbers match nobody.
+ *
+ * Environment (optional):
+ * - DEFAULT_COUNTRY_CODE — dialing code for national numbers (leading 0 or bare 9 digits), default 972.
+ */
+
+/**
+ * Normalize pasted phone cells: bidi marks, soft hyphen, and Unicode dashes
+ * (U+2010–U+2015, minus sign, fullwidth hyphen, etc.) → ASCII hyphen for /[\d\s\-\+\(\)]{8,}/.
+ */
+export function normalizePhoneCell(raw) {
+  return String(raw ?? '')
+    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+    .replace(/\u00AD/g, '')
+    .replace(/[\u2010-\u2015\u2212\uFE58\uFE63\uFF0D]/g, '-')
+    .trim();
+}
+
+function defaultCountryCode() {
+  const raw = String(process.env.DEFAULT_COUNTRY_CODE || '972').replace(/\D/g, '');
+  return raw || '972';
+}
+
+/**
+ * Strict E.164 key for a phone cell, or null when the value is not a complete number.
+ * @param {unknown} raw
+ * @returns {string | null} e.g. "+972501234567"
+ */
+export function toE164(raw) {
+  const cell = normalizePhoneCell(raw);
+  if (!cell) {
+    return null;
+  }
+  const hasPlus = cell.startsWith('+');
+  let digits = cell.replace(/\D/g, '');
+  const cc = defaultCountryCode();
+
+  if (hasPlus) {
+    // already international
+  } else if (digits.startsWith('00')) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith('0')) {
+    digits = cc + digits.slice(1);
+  } else if (digits.startsWith(cc) && digits.length > cc.length + 7) {
+    // international without the plus
+  } else if (digits.length === 9) {
+    // national mobile without the trunk 0 (e.g. 501234567)
+    digits = cc + digits;
+  } else if (digits.length < 11) {
+    return null;
+  }
+
+  if (digits.startsWith('0') || digits.length < 8 || digits.length > 15) {
+    return null;
+  }
+  // Israeli numbers: 8-digit landlines or 9-digit mobiles after the country code
+  if (digits.startsWith('972')) {
+    const national = digits.slice(3);
+    if (national.startsWith('0') || national.length < 8 || national.length > 9) {
+      return null;
+    }
+  }
+  return `+${digits}`;
+}
+
+/** True when both values are complete numbers with the same E.164 key. */
+export function samePhone(a, b) {
+  const key = toE164(a);
+  return key !== null && key === toE164(b);
+}
+
+/** Error thrown when one phone key belongs to several guest rows. */
+export function ambiguousPhoneError(phone, rowNumbers) {
+  return Object.assign(
+    new Error(`Phone number ${phone} matches more than one guest (rows ${rowNumbers.join(', ')})`),
+    { status: 409, code: 'AMBIGUOUS_PHONE', rowNumbers },
+  );
+}
@@ -0,0 +1,88 @@
+/**
+ * Where the album's image files live.
+ *
+ * By default a folder on disk. Render's disk is wiped on every deploy, so a lasting album needs a
+ * persistent disk (PHOTO_DIR on it) or an object store (S3, R2, GCS …) passed to setPhotoStore();
+ * the album only needs put, get and remove by key.
+ *
+ * Environment (optional):
+ * - PHOTO_DIR — folder for the local store (default server/data/photos).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'photos');
+
+/** `full/<id>.jpg`, `thumb/<id>.jpg` (see photos.js) */
+const KEY_PATTERN = /^[a-z]+\/[A-Za-z0-9-]+\.jpg$/;
+
+/**
+ * @typedef {object} PhotoStore
+ * @property {(key: string, data: Buffer, contentType: string) => Promise<void>} put
+ * @property {(key: string) => Promise<Buffer | null>} get null when there is no such file
+ * @property {(key: string) => Promise<void>} remove no error when the file is already gone
+ */
+
+function photoDir() {
+  const raw = (process.env.PHOTO_DIR || '').trim();
+  if (!raw) {
+    return DEFAULT_DIR;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+/**
+ * Files under `dir`, one per key. Writes go through a temp file, so a reader never sees half a photo.
+ * @param {string} [dir] default PHOTO_DIR
+ * @returns {PhotoStore}
+ */
+export function createLocalPhotoStore(dir = photoDir()) {
+  function fileFor(key) {
+    if (!KEY_PATTERN.test(key)) {
+      throw Object.assign(new Error(`Invalid photo key "${key}"`), { status: 400 });
+    }
+    return path.join(dir, key);
+  }
+
+  return {
+    async put(key, data) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fs.promises.writeFile(tmp, data);
+      await fs.promises.rename(tmp, file);
+    },
+    async get(key) {
+      try {
+        return await fs.promises.readFile(fileFor(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    },
+  };
+}
+
+/** @type {PhotoStore | null} */
+let store = null;
+
+/** Replace the file store (call before the server starts taking requests). */
+export function setPhotoStore(next) {
+  store = next;
+}
+
+/** @returns {PhotoStore} */
+export function getPhotoStore() {
+  if (!store) {
+    store = createLocalPhotoStore();
+  }
+  return store;
+}
@@ -0,0 +1,364 @@
+/**
+ * The shared photo album: guests upload from their personal link after the wedding.
+ *
+ * Each upload is turned into a JPEG of at most 2048px (turned upright, location and camera data
+ * dropped) and a square thumbnail; the original is not kept. Files go to the photo store (see
+ * photoStore.js), the list of photos to server/data/photos.json. Guests see their own uploads and
+ * the approved photos; the admin approves, hides or deletes them (public/admin-photos.html) and
+ * downloads the album as a ZIP.
+ *
+ * Environment (optional):
+ * - PHOTO_MODERATION — `pre` (default): new photos wait for approval before others see them;
+ *   `post`: they show at once and the admin can hide them.
+ * - PHOTO_MAX_PER_GUEST — photos per guest (default 30); hidden ones do not count.
+ * - PHOTO_MAX_MB — size of one upload in MB (default 15).
+ * - PHOTO_UPLOADS_FROM — when uploads open (ISO date-time); default the first event's start,
+ *   and right away when that is not set either.
+ * - PHOTOS_FILE — photo list path (default server/data/photos.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { once } from 'events';
+import { fileURLToPath } from 'url';
+import archiver from 'archiver';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { getEvents } from '../config/event.js';
+import { getPhotoStore } from './photoStore.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'photos.json');
+
+const FULL_SIZE = 2048;
+const THUMB_SIZE = 400;
+/** Larger images are refused before decoding (a 200 MP panorama would need ~600 MB) */
+const MAX_INPUT_PIXELS = 100_000_000;
+
+// Thumbnails are made once, so libvips' cache only holds memory on a small instance
+sharp.cache(false);
+
+/** @typedef {'pending' | 'approved' | 'rejected'} PhotoStatus */
+
+/**
+ * @typedef {object} Photo
+ * @property {string} id
+ * @property {string} guestPhone E.164 phone of the guest row that uploaded it
+ * @property {string} guestName
+ * @property {PhotoStatus} status only approved photos are in the shared album
+ * @property {number} width of the stored full-size image
+ * @property {number} height
+ * @property {number} bytes of the stored full-size image
+ * @property {string} uploadedAt
+ * @property {string | null} reviewedAt
+ */
+/** @typedef {{ items: Photo[] }} PhotoState */
+
+function intEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** @returns {'pre' | 'post'} */
+export function photoModeration() {
+  return String(process.env.PHOTO_MODERATION || '').trim().toLowerCase() === 'post' ? 'post' : 'pre';
+}
+
+/** Upload size limit in bytes, for express.raw() in routes/photos.js. */
+export function photoMaxBytes() {
+  return intEnv('PHOTO_MAX_MB', 15) * 1024 * 1024;
+}
+
+function maxPerGuest() {
+  return intEnv('PHOTO_MAX_PER_GUEST', 30);
+}
+
+let warnedBadDate = false;
+
+/**
+ * Uploads open at PHOTO_UPLOADS_FROM, else at the first event's start.
+ * @param {Date} [now]
+ * @returns {{ open: boolean, opensAt: string | null }}
+ */
+export function getPhotoUploadWindow(now = new Date()) {
+  const raw = String(process.env.PHOTO_UPLOADS_FROM || '').trim();
+  let opensAt = raw ? new Date(raw) : getEvents()[0].start;
+  if (opensAt && Number.isNaN(opensAt.getTime())) {
+    if (!warnedBadDate) {
+      warnedBadDate = true;
+      console.warn(`[photos] PHOTO_UPLOADS_FROM="${raw}" is not a date; uploads open at the first event's start`);
+    }
+    opensAt = getEvents()[0].start;
+  }
+  return {
+    open: !opensAt || now >= opensAt,
+    opensAt: opensAt ? opensAt.toISOString() : null,
+  };
+}
+
+function photosFile() {
+  const raw = (process.env.PHOTOS_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+/** @returns {PhotoState} */
+function readPhotos() {
+  const file = photosFile();
+  if (!fs.existsSync(file)) {
+    return { items: [] };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { items: Array.isArray(parsed?.items) ? parsed.items : [] };
+  } catch (error) {
+    throw Object.assign(new Error(`Photo list is unreadable (${file}): ${error.message}`), { status: 500 });
+  }
+}
+
+/** @param {PhotoState} state */
+function writePhotos(state) {
+  const file = photosFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function fileKey(id, size) {
+  return `${size}/${id}.jpg`;
+}
+
+function notFound() {
+  return Object.assign(new Error('Photo not found'), { status: 404 });
+}
+
+/**
+ * Photos the guest uploaded (newest first) and how many more they may add.
+ * @param {string} guestPhone E.164
+ */
+export function getGuestPhotos(guestPhone) {
+  const items = readPhotos().items.filter((p) => p.guestPhone === guestPhone).reverse();
+  const used = items.filter((p) => p.status !== 'rejected').length;
+  const limit = maxPerGuest();
+  return { items, quota: { used, limit, remaining: Math.max(0, limit - used) } };
+}
+
+/** Approved photos, in upload order. @returns {Photo[]} */
+export function getAlbumPhotos() {
+  return readPhotos().items.filter((p) => p.status === 'approved');
+}
+
+/**
+ * Every photo for the admin page, newest first, with counts per status.
+ * @param {{ status?: PhotoStatus }} [filter]
+ */
+export function listPhotos(filter = {}) {
+  const { items } = readPhotos();
+  const counts = { pending: 0, approved: 0, rejected: 0 };
+  for (const photo of items) {
+    counts[photo.status] += 1;
+  }
+  const matching = filter.status ? items.filter((p) => p.status === filter.status) : items;
+  return { items: [...matching].reverse(), counts };
+}
+
+/** @returns {Photo} */
+export function getPhoto(id) {
+  const photo = readPhotos().items.find((p) => p.id === id);
+  if (!photo) {
+    throw notFound();
+  }
+  return photo;
+}
+
+/**
+ * A guest-facing photo: what others see, plus the status on the guest's own uploads.
+ * @param {Photo} photo
+ * @param {boolean} [own]
+ */
+export function publicPhoto(photo, own = false) {
+  return {
+    id: photo.id,
+    by: photo.guestName,
+    uploadedAt: photo.uploadedAt,
+    width: photo.width,
+    height: photo.height,
+    ...(own ? { status: photo.status } : {}),
+  };
+}
+
+let processing = Promise.resolve();
+
+/** One image at a time: decoding a phone photo takes tens of MB outside the JS heap. */
+function oneAtATime(task) {
+  const run = processing.then(task, task);
+  processing = run.catch(() => {});
+  return run;
+}
+
+/** Upright full-size JPEG and square thumbnail, without EXIF (location, camera). */
+async function resizePhoto(data) {
+  const source = sharp(data, { limitInputPixels: MAX_INPUT_PIXELS, failOn: 'error' }).rotate();
+  try {
+    const full = await source
+      .clone()
+      .resize({ width: FULL_SIZE, height: FULL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+    const thumb = await source
+      .clone()
+      .resize({ width: THUMB_SIZE, height: THUMB_SIZE, fit: 'cover' })
+      .jpeg({ quality: 75, mozjpeg: true })
+      .toBuffer();
+    return { full, thumb };
+  } catch (error) {
+    const tooLarge = /pixel limit/i.test(error.message);
+    throw Object.assign(
+      new Error(tooLarge ? 'The photo has too many pixels' : 'Upload a JPEG, PNG or WebP photo'),
+      { status: tooLarge ? 413 : 400 },
+    );
+  }
+}
+
+function quotaError(limit) {
+  return Object.assign(new Error(`You can upload up to ${limit} photos`), { status: 403, code: 'quota' });
+}
+
+/**
+ * Resize, store and list one upload from a guest.
+ * @param {{ phoneKey: string | null, name?: string, fullName?: string }} guest row from resolveInviteGuest()
+ * @param {Buffer} data the uploaded file
+ * @returns {Promise<Photo>}
+ * @throws 403 before uploads open or over the guest's quota, 400 for a file that is not an image
+ */
+export async function addGuestPhoto(guest, data) {
+  if (!guest.phoneKey) {
+    throw Object.assign(new Error('Guest has no valid phone number'), { status: 400 });
+  }
+  const window = getPhotoUploadWindow();
+  if (!window.open) {
+    throw Object.assign(new Error('Photo uploads open after the wedding'), { status: 403, opensAt: window.opensAt });
+  }
+  if (!Buffer.isBuffer(data) || data.length === 0) {
+    throw Object.assign(new Error('Upload the photo as the request body (Content-Type: image/…)'), { status: 400 });
+  }
+  if (getGuestPhotos(guest.phoneKey).quota.remaining === 0) {
+    throw quotaError(maxPerGuest());
+  }
+
+  const { full, thumb } = await oneAtATime(() => resizePhoto(data));
+  const id = uuidv4();
+  const store = getPhotoStore();
+  await store.put(fileKey(id, 'full'), full.data, 'image/jpeg');
+  await store.put(fileKey(id, 'thumb'), thumb, 'image/jpeg');
+
+  // Checked again: parallel uploads from one guest all passed the first check
+  const state = readPhotos();
+  const used = state.items.filter((p) => p.guestPhone === guest.phoneKey && p.status !== 'rejected').length;
+  if (used >= maxPerGuest()) {
+    await removeFiles(id);
+    throw quotaError(maxPerGuest());
+  }
+
+  /** @type {Photo} */
+  const photo = {
+    id,
+    guestPhone: guest.phoneKey,
+    guestName: guest.fullName || guest.name || '',
+    status: photoModeration() === 'post' ? 'approved' : 'pending',
+    width: full.info.width,
+    height: full.info.height,
+    bytes: full.info.size,
+    uploadedAt: new Date().toISOString(),
+    reviewedAt: null,
+  };
+  state.items.push(photo);
+  writePhotos(state);
+  return photo;
+}
+
+/**
+ * Approve (show in the album) or reject (hide) a photo.
+ * @param {string} id
+ * @param {'approved' | 'rejected'} status
+ * @returns {Photo}
+ */
+export function setPhotoStatus(id, status) {
+  const state = readPhotos();
+  const photo = state.items.find((p) => p.id === id);
+  if (!photo) {
+    throw notFound();
+  }
+  photo.status = status;
+  photo.reviewedAt = new Date().toISOString();
+  writePhotos(state);
+  return photo;
+}
+
+async function removeFiles(id) {
+  const store = getPhotoStore();
+  await store.remove(fileKey(id, 'full'));
+  await store.remove(fileKey(id, 'thumb'));
+}
+
+/**
+ * Delete a photo and its files.
+ * @param {string} id
+ * @param {string} [guestPhone] only when it is this guest's upload (404 otherwise)
+ */
+export async function deletePhoto(id, guestPhone) {
+  const state = readPhotos();
+  const photo = state.items.find((p) => p.id === id && (!guestPhone || p.guestPhone === guestPhone));
+  if (!photo) {
+    throw notFound();
+  }
+  state.items = state.items.filter((p) => p.id !== id);
+  writePhotos(state);
+  await removeFiles(id);
+}
+
+/**
+ * The stored JPEG.
+ * @param {Photo} photo
+ * @param {'full' | 'thumb'} size
+ * @returns {Promise<Buffer>}
+ */
+export async function readPhotoFile(photo, size) {
+  const data = await getPhotoStore().get(fileKey(photo.id, size));
+  if (!data) {
+    throw Object.assign(new Error('Photo file is missing from the store'), { status: 404 });
+  }
+  return data;
+}
+
+/** `007 Dana Cohen.jpg`, without characters Windows refuses in file names */
+function zipEntryName(photo, index) {
+  const name = photo.guestName.replace(/[\\/:*?"<>|\u0000-\u001f]/g, '').trim();
+  return `${String(index + 1).padStart(3, '0')}${name ? ` ${name}` : ''}.jpg`;
+}
+
+/**
+ * Writes the approved photos, full size, as a ZIP to `output` (the JPEGs are stored, not
+ * recompressed). One file is read from the store at a time.
+ * @param {NodeJS.WritableStream} output
+ * @returns {Promise<void>}
+ */
+export async function writeAlbumZip(output) {
+  const photos = getAlbumPhotos();
+  const archive = archiver('zip', { store: true });
+  archive.pipe(output);
+  for (const [index, photo] of photos.entries()) {
+    const data = await getPhotoStore().get(fileKey(photo.id, 'full'));
+    if (!data) {
+      console.warn(`[photos] ${photo.id} is missing from the store; left out of the ZIP`);
+      continue;
+    }
+    const added = once(archive, 'entry');
+    archive.append(data, { name: zipEntryName(photo, index), date: new Date(photo.uploadedAt) });
+    await added;
+  }
+  await archive.finalize();
+}
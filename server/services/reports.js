@@ -0,0 +1,500 @@
+/**
+ * RSVP exports for the caterer and venue (admin downloads + `npm run export:reports`).
+ *
+ * Built from one event's response tab saveRSVPResponse writes (latest answer per guest), joined to
+ * the guest list by E.164 phone for each answer's sender (only guests invited to that event count):
+ * - responses.csv / responses.xlsx — one row per answer, with a column per RSVP question (the workbook adds
+ *   "By sender" and "Totals" sheets);
+ * - senders.csv — per-sender counts: on the list, answered, coming, not coming, no answer, headcounts;
+ * - catering.pdf — printable totals (adults, babies, vegan/vegetarian), dietary totals per RSVP question
+ *   and the attending guests with notes.
+ *
+ * Babies (0-2) are counted on top of Number of Guests (the RSVP form asks for them separately);
+ * vegan/vegetarian is counted within Number of Guests.
+ *
+ * Environment (optional):
+ * - REPORT_FONT — TTF/OTF used by the PDF; must contain Hebrew glyphs. Defaults to the first
+ *   of DejaVu Sans / Arial found on the machine (PDF built-in fonts have no Hebrew).
+ */
+
+import fs from 'fs';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { findEvent } from '../config/event.js';
+import { localized } from '../config/locales.js';
+import { getRSVPQuestions } from '../config/rsvpQuestions.js';
+import { getGuestList, getRSVPResponses } from './storage.js';
+
+/** @typedef {import('./storage.js').RSVPRow} RSVPRow */
+/** @typedef {RSVPRow & { sender: string }} ReportResponse */
+
+/**
+ * @typedef {object} HeadcountTotals
+ * @property {number} answered
+ * @property {number} attending answers with "Yes"
+ * @property {number} declined answers with "No"
+ * @property {number} adults Number of Guests summed over "Yes" answers
+ * @property {number} babies
+ * @property {number} vegan
+ * @property {number} regularMeals adults − vegan
+ * @property {number} people adults + babies
+ */
+
+/**
+ * @typedef {HeadcountTotals & { sender: string, onList: number, noAnswer: number }} SenderSummary
+ */
+
+/**
+ * @typedef {object} RSVPReport
+ * @property {string} generatedAt ISO time
+ * @property {string} eventId see config/event.js
+ * @property {boolean} hasGuestList false when no guest sheet is configured (no senders, no "no answer" counts)
+ * @property {ReportResponse[]} responses sorted by sender, then name
+ * @property {SenderSummary[]} bySender empty without a guest list
+ * @property {HeadcountTotals & { onList: number | null, noAnswer: number | null }} totals
+ * @property {{ label: string, value: number }[]} dietary per-question totals over "Yes" answers
+ */
+
+/** Sender label for answers whose phone is not on the guest list. */
+const NOT_ON_LIST = '(not on guest list)';
+const NO_SENDER = '(no sender)';
+
+const DEFAULT_FONTS = [
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  '/usr/share/fonts/TTF/DejaVuSans.ttf',
+  '/Library/Fonts/Arial Unicode.ttf',
+  '/System/Library/Fonts/Supplemental/Arial.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf',
+];
+
+function emptyTotals() {
+  return { answered: 0, attending: 0, declined: 0, adults: 0, babies: 0, vegan: 0, regularMeals: 0, people: 0 };
+}
+
+/** @param {HeadcountTotals} totals @param {RSVPRow} response */
+function addResponse(totals, response) {
+  totals.answered++;
+  if (response.status === 'Yes') {
+    totals.attending++;
+    totals.adults += response.numberOfGuests;
+    totals.babies += response.numberOfBabies;
+    totals.vegan += response.numberOfVegan;
+  } else if (response.status === 'No') {
+    totals.declined++;
+  }
+  totals.regularMeals = Math.max(0, totals.adults - totals.vegan);
+  totals.people = totals.adults + totals.babies;
+}
+
+/**
+ * Read the event's responses (and the guest list, when configured) and compute the report.
+ * @param {string} responseSheetId
+ * @param {string | null | undefined} guestSheetId
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<RSVPReport>}
+ */
+export async function buildRSVPReport(responseSheetId, guestSheetId, eventId) {
+  const event = findEvent(eventId);
+  const [rows, allGuests] = await Promise.all([
+    getRSVPResponses(responseSheetId, event.id),
+    guestSheetId ? getGuestList(guestSheetId) : Promise.resolve(null),
+  ]);
+  const guests = allGuests && allGuests.filter((guest) => guest.events.includes(event.id));
+
+  /** @type {Map<string, SenderSummary>} */
+  const bySender = new Map();
+  const senderSummary = (sender) => {
+    if (!bySender.has(sender)) {
+      bySender.set(sender, { sender, onList: 0, noAnswer: 0, ...emptyTotals() });
+    }
+    return bySender.get(sender);
+  };
+
+  // First row wins for a number listed twice (guest validation reports those)
+  /** @type {Map<string, string>} */
+  const senderByPhone = new Map();
+  for (const guest of guests || []) {
+    if (!guest.phoneKey || senderByPhone.has(guest.phoneKey)) {
+      continue;
+    }
+    const sender = guest.sender.trim() || NO_SENDER;
+    senderByPhone.set(guest.phoneKey, sender);
+    senderSummary(sender).onList++;
+  }
+
+  const totals = { onList: guests ? senderByPhone.size : null, noAnswer: null, ...emptyTotals() };
+  const responses = rows.map((row) => {
+    const sender = guests ? senderByPhone.get(row.phone) || NOT_ON_LIST : '';
+    addResponse(totals, row);
+    if (guests) {
+      addResponse(senderSummary(sender), row);
+    }
+    return { ...row, sender };
+  });
+
+  if (guests) {
+    const answered = new Set(rows.map((r) => r.phone));
+    totals.noAnswer = 0;
+    for (const [phone, sender] of senderByPhone) {
+      if (!answered.has(phone)) {
+        totals.noAnswer++;
+        senderSummary(sender).noAnswer++;
+      }
+    }
+  }
+
+  responses.sort((a, b) => a.sender.localeCompare(b.sender, 'he') || a.name.localeCompare(b.name, 'he'));
+  return {
+    generatedAt: new Date().toISOString(),
+    eventId: event.id,
+    hasGuestList: Boolean(guests),
+    responses,
+    bySender: [...bySender.values()].sort((a, b) => a.sender.localeCompare(b.sender, 'he')),
+    totals,
+    dietary: dietaryTotals(rows),
+  };
+}
+
+/**
+ * Per RSVP question (see config/rsvpQuestions.js), over "Yes" answers: the sum of a count question,
+ * or how many picked each option (people, for per-attendee questions). Text questions are left out.
+ * @param {RSVPRow[]} rows
+ */
+function dietaryTotals(rows) {
+  const attending = rows.filter((r) => r.status === 'Yes');
+  return getRSVPQuestions().flatMap((question) => {
+    if (question.type === 'count') {
+      return [{ label: question.column, value: attending.reduce((sum, r) => sum + (Number(r.answers[question.id]) || 0), 0) }];
+    }
+    if (question.type === 'text') {
+      return [];
+    }
+    return question.options.map((option) => ({
+      label: `${question.column}: ${localized(option.label)}`,
+      value: attending.reduce((sum, r) => sum + [].concat(r.answers[question.id] ?? []).filter((v) => v === option.value).length, 0),
+    }));
+  });
+}
+
+const RESPONSE_COLUMNS = [
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Phone', key: 'phone', width: 16 },
+  { header: 'Sender', key: 'sender', width: 14 },
+  { header: 'RSVP Status', key: 'status', width: 12 },
+  { header: 'Number of Guests', key: 'numberOfGuests', width: 16 },
+  { header: 'Babies (0-2)', key: 'numberOfBabies', width: 12 },
+  { header: 'Vegan/Vegetarian', key: 'numberOfVegan', width: 16 },
+  { header: 'Additional Notes', key: 'additionalNotes', width: 36 },
+  { header: 'Attendees', key: 'attendees', width: 30 },
+  { header: 'Timestamp', key: 'timestamp', width: 22 },
+];
+
+const SENDER_COLUMNS = [
+  { header: 'Sender', key: 'sender', width: 20 },
+  { header: 'On guest list', key: 'onList', width: 14 },
+  { header: 'Answered', key: 'answered', width: 11 },
+  { header: 'No answer', key: 'noAnswer', width: 11 },
+  { header: 'Coming', key: 'attending', width: 10 },
+  { header: 'Not coming', key: 'declined', width: 12 },
+  { header: 'Adults', key: 'adults', width: 10 },
+  { header: 'Babies (0-2)', key: 'babies', width: 12 },
+  { header: 'Vegan/Vegetarian', key: 'vegan', width: 16 },
+  { header: 'Regular meals', key: 'regularMeals', width: 14 },
+];
+
+const TOTAL_LABELS = [
+  ['onList', 'On guest list'],
+  ['answered', 'Answered'],
+  ['noAnswer', 'No answer yet'],
+  ['attending', 'Coming (answers)'],
+  ['declined', 'Not coming (answers)'],
+  ['adults', 'Adults'],
+  ['babies', 'Babies (0-2)'],
+  ['people', 'Total people'],
+  ['vegan', 'Vegan/Vegetarian'],
+  ['regularMeals', 'Regular meals'],
+];
+
+/** Keep spreadsheet apps from running cells that start like a formula (phone numbers stay as they are). */
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^\+\d+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** UTF-8 with a BOM so Excel opens Hebrew correctly. */
+function toCsv(columns, records) {
+  const lines = [columns.map((c) => csvCell(c.header)).join(',')];
+  for (const record of records) {
+    lines.push(columns.map((c) => csvCell(record[c.key])).join(','));
+  }
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/** Response columns plus one per RSVP question that is not already among them (vegan is numberOfVegan). */
+function responseColumns(report) {
+  const base = report.hasGuestList ? RESPONSE_COLUMNS : RESPONSE_COLUMNS.filter((c) => c.key !== 'sender');
+  const questions = getRSVPQuestions()
+    .filter((q) => !RESPONSE_COLUMNS.some((c) => c.header.toLowerCase() === q.column.toLowerCase()))
+    .map((q) => ({ header: q.column, key: `answer:${q.id}`, width: 16 }));
+  return [...base, ...questions];
+}
+
+/** Response rows with each question's answer under its `answer:<id>` column key. */
+function responseRecords(report) {
+  return report.responses.map((r) => ({
+    ...r,
+    ...Object.fromEntries(
+      Object.entries(r.answers).map(([id, value]) => [`answer:${id}`, Array.isArray(value) ? value.join(', ') : value]),
+    ),
+  }));
+}
+
+function senderColumns(report) {
+  return report.hasGuestList ? SENDER_COLUMNS : SENDER_COLUMNS.filter((c) => c.key !== 'onList' && c.key !== 'noAnswer');
+}
+
+/** @param {RSVPReport} report */
+export function responsesCsv(report) {
+  return toCsv(responseColumns(report), responseRecords(report));
+}
+
+/** @param {RSVPReport} report */
+export function sendersCsv(report) {
+  return toCsv(senderColumns(report), report.bySender);
+}
+
+/**
+ * Responses, By sender and Totals sheets.
+ * @param {RSVPReport} report
+ * @returns {Promise<Buffer>}
+ */
+export async function responsesXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date(report.generatedAt);
+
+  const addSheet = (name, columns, records) => {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    records.forEach((record) => sheet.addRow(record));
+    return sheet;
+  };
+
+  addSheet('Responses', responseColumns(report), responseRecords(report));
+  addSheet('By sender', senderColumns(report), report.bySender);
+  addSheet(
+    'Totals',
+    [
+      { header: 'Total', key: 'label', width: 24 },
+      { header: 'Count', key: 'value', width: 10 },
+    ],
+    [
+      ...TOTAL_LABELS.filter(([key]) => report.totals[key] !== null).map(([key, label]) => ({ label, value: report.totals[key] })),
+      ...report.dietary,
+    ],
+  );
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function reportFont() {
+  const candidates = process.env.REPORT_FONT ? [process.env.REPORT_FONT] : DEFAULT_FONTS;
+  const found = candidates.find((file) => fs.existsSync(file));
+  if (!found) {
+    console.warn(
+      `[reports] No font with Hebrew found (${candidates.join(', ')}); set REPORT_FONT. Hebrew will not render in the PDF.`,
+    );
+  }
+  return found || null;
+}
+
+const HEBREW = /[\u0590-\u05FF]/;
+const MIRRORED = { '(': ')', ')': '(', '[': ']', ']': '[', '<': '>', '>': '<' };
+
+/**
+ * PDFKit draws characters in the order given, so Hebrew would come out backwards.
+ * Lines containing Hebrew are treated as right-to-left: reverse the character order but keep
+ * Latin words and numbers (phones, "2+1") reading left-to-right, and mirror brackets.
+ */
+function visualOrder(text) {
+  if (!HEBREW.test(text)) {
+    return text;
+  }
+  const tokens = text.match(/[A-Za-z0-9](?:[A-Za-z0-9.,:/@+-]*[A-Za-z0-9])?|[\s\S]/g) || [];
+  return tokens
+    .reverse()
+    .map((token) => MIRRORED[token] || token)
+    .join('');
+}
+
+/**
+ * Draw a simple grid; repeats the header row on each new page.
+ * @param {PDFKit.PDFDocument} doc
+ * @param {{ header: string, width: number, key: string, align?: 'left' | 'right' | 'center' }[]} columns widths in points
+ * @param {object[]} records
+ */
+function drawTable(doc, columns, records) {
+  const left = doc.page.margins.left;
+  const padding = 4;
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  const rowHeight = (cells) =>
+    Math.max(...cells.map((text, i) => doc.heightOfString(text, { width: columns[i].width - padding * 2 }))) + padding * 2;
+
+  const drawRow = (cells, header) => {
+    const height = rowHeight(cells);
+    if (doc.y + height > bottom()) {
+      doc.addPage();
+      if (!header) {
+        drawRow(columns.map((c) => c.header), true);
+      }
+    }
+    const top = doc.y;
+    let x = left;
+    if (header) {
+      doc.rect(left, top, columns.reduce((sum, c) => sum + c.width, 0), height).fill('#eeeeee').fillColor('black');
+    }
+    cells.forEach((text, i) => {
+      const column = columns[i];
+      doc.rect(x, top, column.width, height).stroke('#999999');
+      doc.text(text, x + padding, top + padding, {
+        width: column.width - padding * 2,
+        align: header ? 'left' : column.align || (HEBREW.test(text) ? 'right' : 'left'),
+      });
+      x += column.width;
+    });
+    doc.x = left;
+    doc.y = top + height;
+  };
+
+  drawRow(columns.map((c) => c.header), true);
+  for (const record of records) {
+    drawRow(
+      columns.map((c) => visualOrder(String(record[c.key] ?? ''))),
+      false,
+    );
+  }
+}
+
+/**
+ * Printable catering report: totals, per-sender headcounts, attending guests with their notes.
+ * @param {RSVPReport} report
+ * @returns {Promise<Buffer>}
+ */
+export function cateringPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'Catering report' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const font = reportFont();
+    if (font) {
+      doc.registerFont('report', font);
+      doc.font('report');
+    }
+
+    const heading = (text) => {
+      doc.moveDown(0.8).fontSize(13).text(text).moveDown(0.3).fontSize(9);
+    };
+
+    doc.fontSize(18).text('Catering report');
+    const eventTitle = localized(findEvent(report.eventId).title, 'en');
+    doc.fontSize(9).fillColor('#555555').text(`${eventTitle} · generated ${new Date(report.generatedAt).toLocaleString('en-GB')}`);
+    doc.fillColor('black');
+
+    heading('Totals');
+    drawTable(
+      doc,
+      [
+        { header: 'Total', key: 'label', width: 180 },
+        { header: 'Count', key: 'value', width: 70, align: 'right' },
+      ],
+      TOTAL_LABELS.filter(([key]) => report.totals[key] !== null).map(([key, label]) => ({
+        label,
+        value: report.totals[key],
+      })),
+    );
+    doc.moveDown(0.3).fontSize(8).fillColor('#555555')
+      .text('Adults = Number of Guests on "Yes" answers; babies (0-2) come on top. Regular meals = adults − vegan/vegetarian.')
+      .fillColor('black');
+
+    if (report.dietary.length) {
+      heading('Dietary');
+      drawTable(
+        doc,
+        [
+          { header: 'Question', key: 'label', width: 180 },
+          { header: 'Count', key: 'value', width: 70, align: 'right' },
+        ],
+        report.dietary,
+      );
+    }
+
+    heading('By sender');
+    const senderWidths = { sender: 95, onList: 45, answered: 50, noAnswer: 45, attending: 45, declined: 50, adults: 40, babies: 45, vegan: 50, regularMeals: 50 };
+    drawTable(
+      doc,
+      senderColumns(report).map((c) => ({
+        header: c.header,
+        key: c.key,
+        width: senderWidths[c.key],
+        align: c.key === 'sender' ? undefined : 'right',
+      })),
+      report.bySender,
+    );
+
+    heading('Attending guests');
+    const attending = report.responses.filter((r) => r.status === 'Yes');
+    if (attending.length) {
+      drawTable(
+        doc,
+        [
+          { header: 'Name', key: 'name', width: 130 },
+          { header: 'Adults', key: 'numberOfGuests', width: 45, align: 'right' },
+          { header: 'Babies', key: 'numberOfBabies', width: 45, align: 'right' },
+          { header: 'Vegan', key: 'numberOfVegan', width: 45, align: 'right' },
+          { header: 'Notes', key: 'additionalNotes', width: 250 },
+        ],
+        attending,
+      );
+    } else {
+      doc.text('No one has confirmed yet.');
+    }
+
+    doc.end();
+  });
+}
+
+/** Files served by GET /api/admin/reports/:name and written by `npm run export:reports`. */
+export const REPORT_FILES = {
+  'responses.csv': { contentType: 'text/csv; charset=utf-8', render: responsesCsv },
+  'responses.xlsx': {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    render: responsesXlsx,
+  },
+  'senders.csv': { contentType: 'text/csv; charset=utf-8', render: sendersCsv },
+  'catering.pdf': { contentType: 'application/pdf', render: cateringPdf },
+};
+
+/**
+ * @param {string} name a REPORT_FILES key
+ * @param {RSVPReport} report
+ * @returns {Promise<Buffer>}
+ */
+export async function renderReportFile(name, report) {
+  const file = REPORT_FILES[name];
+  if (!file) {
+    throw Object.assign(new Error(`Unknown report "${name}" (expected ${Object.keys(REPORT_FILES).join(', ')})`), {
+      status: 404,
+    });
+  }
+  return file.render(report);
+}
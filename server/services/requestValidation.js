@@ -0,0 +1,209 @@
+/**
+ * Declarative request validation for the API routes.
+ *
+ * Each route declares its path params, query and JSON body as JSON Schema (the subset below) through
+ * validateRequest(). A request that does not fit gets 400 with every problem and its field path:
+ *
+ *   { success: false, error: 'body.guests[0].phone is required', errors: [{ path, message }] }
+ *
+ * The same declarations are served as an OpenAPI document at GET /api/docs (see routes/docs.js).
+ *
+ * Supported keywords: type (one or a list), enum, properties, required, additionalProperties
+ * (false only), items, minItems, maxItems, minimum, maximum, minLength, maxLength, pattern,
+ * format (date, date-time), description. Query and path values arrive as strings and are converted
+ * to the declared integer, number or boolean before checking.
+ */
+
+/**
+ * @typedef {object} RequestSpec
+ * @property {string} summary one line for the API docs
+ * @property {string} [description]
+ * @property {object} [params] object schema for the path params
+ * @property {object} [query] object schema for the query string
+ * @property {object} [body] object schema for the JSON body
+ * @property {string} [contentType] body media type when it is not JSON (documented, not checked)
+ */
+
+/** @typedef {{ path: string, message: string }} ValidationProblem */
+
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'an array',
+  null: 'null',
+};
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function isObject(value) {
+  return typeOf(value) === 'object';
+}
+
+/** `?seats=3` → 3 and `?dryRun=1` → true when the schema asks for a number or boolean. */
+function coerceString(schema, value) {
+  if (typeof value !== 'string' || !schema.type) {
+    return value;
+  }
+  const types = [].concat(schema.type);
+  if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ['true', '1', 'false', '0'].includes(value)) {
+    return value === 'true' || value === '1';
+  }
+  return value;
+}
+
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Checks `value` against `schema`, adding problems to `errors`.
+ * @returns {unknown} the value, with query and path strings converted where the schema says so
+ */
+function check(schema, value, path, errors, coerce) {
+  const input = coerce ? coerceString(schema, value) : value;
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesType(input, type))) {
+      errors.push({ path, message: `must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}` });
+      return input;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(input)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+    return input;
+  }
+
+  if (typeof input === 'string') {
+    if (schema.minLength !== undefined && input.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && input.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(input)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+    if ((schema.format === 'date' || schema.format === 'date-time') && Number.isNaN(Date.parse(input))) {
+      errors.push({ path, message: 'must be a date, e.g. 2026-05-01' });
+    }
+  }
+
+  if (typeof input === 'number') {
+    if (schema.minimum !== undefined && input < schema.minimum) {
+      errors.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && input > schema.maximum) {
+      errors.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(input)) {
+    if (schema.minItems !== undefined && input.length < schema.minItems) {
+      errors.push({ path, message: schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && input.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return input.map((item, i) => check(schema.items, item, childPath(path, i), errors, false));
+    }
+  }
+
+  if (isObject(input)) {
+    const properties = schema.properties || {};
+    const output = { ...input };
+    for (const key of schema.required || []) {
+      if (input[key] === undefined) {
+        errors.push({ path: childPath(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(properties)) {
+      if (input[key] !== undefined) {
+        output[key] = check(propertySchema, input[key], childPath(path, key), errors, coerce);
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(input)) {
+        if (!(key in properties)) {
+          errors.push({ path: childPath(path, key), message: 'is not allowed' });
+        }
+      }
+    }
+    return output;
+  }
+
+  return input;
+}
+
+/**
+ * Checks one value against a schema.
+ * @param {object} schema
+ * @param {unknown} value
+ * @param {string} path prefix for problem paths, e.g. `body`
+ * @param {{ coerce?: boolean }} [options] convert strings as for query and path values
+ * @returns {{ value: unknown, errors: ValidationProblem[] }}
+ */
+export function validateValue(schema, value, path, options = {}) {
+  const errors = [];
+  const checked = check(schema, value, path, errors, Boolean(options.coerce));
+  return { value: checked, errors };
+}
+
+/**
+ * Route middleware: 400 with every problem when the params, query or body do not fit `spec`;
+ * otherwise `req.query` and `req.body` hold the checked values (query numbers and booleans converted).
+ * The spec stays on the middleware for the API docs.
+ * @param {RequestSpec} spec
+ */
+export function validateRequest(spec) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const checked = {};
+    for (const part of ['params', 'query', 'body']) {
+      if (spec[part]) {
+        const value = req[part] === undefined ? {} : req[part];
+        checked[part] = check({ type: 'object', ...spec[part] }, value, part, errors, part !== 'body');
+      }
+    }
+    if (errors.length) {
+      const first = `${errors[0].path} ${errors[0].message}`;
+      return res.status(400).json({
+        success: false,
+        error: errors.length > 1 ? `${first} (and ${errors.length - 1} more)` : first,
+        errors,
+      });
+    }
+    if (checked.query) {
+      req.query = checked.query;
+    }
+    if (checked.body) {
+      req.body = checked.body;
+    }
+    return next();
+  };
+  middleware.requestSpec = spec;
+  return middleware;
+}
@@ -0,0 +1,116 @@
+/**
+ * Answers to the configured RSVP questions (see config/rsvpQuestions.js): checking what the
+ * landing page sends, and how each answer is written to / read from its response sheet cell.
+ */
+
+import { localized } from '../config/locales.js';
+import { getRSVPQuestions } from '../config/rsvpQuestions.js';
+
+/** @typedef {import('../config/rsvpQuestions.js').RSVPQuestion} RSVPQuestion */
+/** @typedef {Record<string, number | string | string[]>} RSVPAnswers keyed by question id */
+
+function answerError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/** @param {RSVPQuestion} question */
+function optionValue(question, value) {
+  if (!question.options.some((o) => o.value === value)) {
+    throw answerError(`${localized(question.label)}: "${value}" is not one of the options`);
+  }
+  return value;
+}
+
+/**
+ * Validate an attending guest's answers; every configured question gets a value (0, its default or '').
+ * Unknown ids are ignored so a page opened before the questions changed can still answer.
+ * @param {unknown} input answers keyed by question id
+ * @param {{ guests: number, babies: number }} party Number of Guests and babies coming
+ * @returns {RSVPAnswers}
+ */
+export function validateRSVPAnswers(input, { guests, babies }) {
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    throw answerError('answers must be an object keyed by question id');
+  }
+
+  /** @type {RSVPAnswers} */
+  const answers = {};
+  for (const question of getRSVPQuestions()) {
+    const value = input?.[question.id];
+    switch (question.type) {
+      case 'count': {
+        const count = isBlank(value) ? 0 : Number(value);
+        if (!Number.isInteger(count) || count < 0) {
+          throw answerError(`${localized(question.label)}: must be a whole number`);
+        }
+        if (count > guests + babies) {
+          throw answerError(`${localized(question.label)}: more than the ${guests + babies} people coming`);
+        }
+        answers[question.id] = count;
+        break;
+      }
+      case 'choice':
+        if (isBlank(value)) {
+          if (question.required && question.default === undefined) {
+            throw answerError(`${localized(question.label)}: please choose an option`);
+          }
+          answers[question.id] = question.default ?? '';
+        } else {
+          answers[question.id] = optionValue(question, String(value));
+        }
+        break;
+      case 'text':
+        if (!isBlank(value) && typeof value !== 'string') {
+          throw answerError(`${localized(question.label)}: must be text`);
+        }
+        answers[question.id] = isBlank(value) ? '' : value.trim().slice(0, question.maxLength);
+        break;
+      case 'perAttendee': {
+        // One value per person in Number of Guests, in attendee (party) order
+        const values = isBlank(value) ? [] : value;
+        if (!Array.isArray(values) || values.length > guests) {
+          throw answerError(`${localized(question.label)}: expected one answer for each of the ${guests} guests`);
+        }
+        const fallback = question.default ?? question.options[0].value;
+        answers[question.id] = Array.from({ length: guests }, (_, i) =>
+          isBlank(values[i]) ? fallback : optionValue(question, String(values[i])),
+        );
+        break;
+      }
+      default:
+        break;
+    }
+  }
+  return answers;
+}
+
+/**
+ * @param {number | string | string[] | undefined} value
+ * @returns {string}
+ */
+export function formatAnswerCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * @param {RSVPQuestion} question
+ * @param {string | undefined} cell
+ * @returns {number | string | string[]}
+ */
+export function parseAnswerCell(question, cell) {
+  const text = String(cell ?? '').trim();
+  if (question.type === 'count') {
+    return parseInt(text, 10) || 0;
+  }
+  if (question.type === 'perAttendee') {
+    return text ? text.split(/\s*,\s*/) : [];
+  }
+  return text;
+}
@@ -0,0 +1,268 @@
+/**
+ * RSVP close date and late-change requests.
+ *
+ * Before RSVP_DEADLINE answers go straight to the queue. After it, until RSVP_APPROVAL_UNTIL,
+ * answers are kept in server/data/rsvp-requests.json as pending requests and only reach the
+ * sheet when an admin approves them. After that (or right after the deadline when no approval
+ * period is set) the RSVP is closed.
+ *
+ * Environment (optional):
+ * - RSVP_DEADLINE — close date: ISO date-time (`2026-06-01T20:00:00+03:00`) or a plain date,
+ *   which closes at the end of that day in RSVP_TIMEZONE. Unset: RSVPs never close.
+ * - RSVP_APPROVAL_UNTIL — end of the "changes require approval" period (same formats).
+ * - RSVP_TIMEZONE — IANA zone for plain dates and times without an offset (default
+ *   Asia/Jerusalem); not the server's zone, which is UTC on most hosts.
+ * - RSVP_REQUESTS_FILE — request journal path (default server/data/rsvp-requests.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { sameEvent } from '../config/event.js';
+import { enqueueRSVP } from './rsvpQueue.js';
+import { toE164 } from './phone.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'rsvp-requests.json');
+
+/** @typedef {import('./storage.js').RSVPResponse} RSVPResponse */
+/** @typedef {'open' | 'approval' | 'closed'} RSVPWindowState */
+
+/**
+ * @typedef {object} RSVPChangeRequest
+ * @property {string} id
+ * @property {string} spreadsheetId
+ * @property {RSVPResponse} response the answer as submitted
+ * @property {{ isAttending: boolean, numberOfGuests: number } | null} previous answer it would replace
+ * @property {string} requestedAt
+ * @property {'pending' | 'approved' | 'rejected' | 'superseded'} status
+ * @property {string | null} decidedAt
+ */
+/** @typedef {{ items: RSVPChangeRequest[] }} RSVPRequestState */
+
+const DEFAULT_TIMEZONE = 'Asia/Jerusalem';
+/** `2026-06-01`, `2026-06-01T20:00`, `2026-06-01 20:00:30` — no offset, so read in RSVP_TIMEZONE */
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?)?$/;
+
+const invalidDateWarned = new Set();
+
+function rsvpTimeZone() {
+  const zone = String(process.env.RSVP_TIMEZONE || '').trim() || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return zone;
+  } catch {
+    if (!invalidDateWarned.has('RSVP_TIMEZONE')) {
+      invalidDateWarned.add('RSVP_TIMEZONE');
+      console.warn(`[rsvpDeadline] RSVP_TIMEZONE="${zone}" is not a time zone; using ${DEFAULT_TIMEZONE}`);
+    }
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/** Milliseconds `timeZone` is ahead of UTC at `utcMs` (DST included). */
+function zoneOffsetMs(utcMs, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(new Date(utcMs))
+      .map((p) => [p.type, Number(p.value)]),
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * The instant a wall-clock time in `timeZone` stands for.
+ * @param {number[]} fields year, month (1-12), day, hour, minute, second, ms
+ */
+function zonedDate([year, month, day, hour, minute, second, ms], timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second, ms);
+  // Twice: the first guess may sit on the other side of a DST change
+  let utc = wall - zoneOffsetMs(wall, timeZone);
+  utc = wall - zoneOffsetMs(utc, timeZone);
+  return new Date(utc);
+}
+
+/** @returns {Date | null} */
+function dateEnv(name) {
+  const raw = String(process.env[name] || '').trim();
+  if (!raw) {
+    return null;
+  }
+  const local = raw.match(LOCAL_DATE_TIME);
+  let date;
+  if (local && local[4] === undefined) {
+    // A plain date closes at the end of that day
+    date = zonedDate([+local[1], +local[2], +local[3], 23, 59, 59, 999], rsvpTimeZone());
+  } else if (local) {
+    const ms = local[7] ? +local[7].padEnd(3, '0') : 0;
+    date = zonedDate([+local[1], +local[2], +local[3], +local[4], +local[5], +(local[6] || 0), ms], rsvpTimeZone());
+  } else {
+    date = new Date(raw);
+  }
+  if (Number.isNaN(date.getTime())) {
+    if (!invalidDateWarned.has(name)) {
+      invalidDateWarned.add(name);
+      console.warn(`[rsvpDeadline] ${name}="${raw}" is not a date; ignoring it`);
+    }
+    return null;
+  }
+  return date;
+}
+
+/**
+ * Whether answers are accepted right now.
+ * @param {Date} [now]
+ * @returns {{ state: RSVPWindowState, closesAt: string | null, approvalUntil: string | null }}
+ */
+export function getRSVPWindow(now = new Date()) {
+  const closesAt = dateEnv('RSVP_DEADLINE');
+  const approvalUntil = closesAt ? dateEnv('RSVP_APPROVAL_UNTIL') : null;
+  let state = 'open';
+  if (closesAt && now > closesAt) {
+    state = approvalUntil && now <= approvalUntil ? 'approval' : 'closed';
+  }
+  return {
+    state,
+    closesAt: closesAt ? closesAt.toISOString() : null,
+    approvalUntil: approvalUntil ? approvalUntil.toISOString() : null,
+  };
+}
+
+function requestsFile() {
+  const raw = (process.env.RSVP_REQUESTS_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+/** @returns {RSVPRequestState} */
+function readRequests() {
+  const file = requestsFile();
+  if (!fs.existsSync(file)) {
+    return { items: [] };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { items: Array.isArray(parsed?.items) ? parsed.items : [] };
+  } catch (error) {
+    throw Object.assign(new Error(`RSVP request journal is unreadable (${file}): ${error.message}`), { status: 500 });
+  }
+}
+
+/** @param {RSVPRequestState} state */
+function writeRequests(state) {
+  const file = requestsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Keep a late answer for admin approval. An earlier pending request from the same phone for the
+ * same event is superseded.
+ * @param {string} spreadsheetId response sheet
+ * @param {RSVPResponse} response
+ * @param {RSVPChangeRequest['previous']} previous
+ * @returns {RSVPChangeRequest}
+ */
+export function recordRSVPRequest(spreadsheetId, response, previous) {
+  const now = new Date().toISOString();
+  const phoneKey = toE164(response.phone);
+  const state = readRequests();
+  for (const item of state.items) {
+    if (
+      item.status === 'pending' &&
+      item.spreadsheetId === spreadsheetId &&
+      toE164(item.response.phone) === phoneKey &&
+      sameEvent(item.response.eventId, response.eventId)
+    ) {
+      item.status = 'superseded';
+      item.decidedAt = now;
+    }
+  }
+  /** @type {RSVPChangeRequest} */
+  const request = {
+    id: uuidv4(),
+    spreadsheetId,
+    response,
+    previous,
+    requestedAt: now,
+    status: 'pending',
+    decidedAt: null,
+  };
+  state.items.push(request);
+  writeRequests(state);
+  return request;
+}
+
+/**
+ * The guest's request for the event still waiting for a decision, if any.
+ * @param {string} spreadsheetId
+ * @param {string} phone
+ * @param {string} [eventId] default: the first event
+ * @returns {RSVPChangeRequest | null}
+ */
+export function findPendingRSVPRequest(spreadsheetId, phone, eventId) {
+  const phoneKey = toE164(phone);
+  return (
+    readRequests().items.find(
+      (i) =>
+        i.status === 'pending' &&
+        i.spreadsheetId === spreadsheetId &&
+        toE164(i.response.phone) === phoneKey &&
+        sameEvent(i.response.eventId, eventId),
+    ) || null
+  );
+}
+
+/**
+ * Requests for the admin page, newest first.
+ * @param {{ status?: RSVPChangeRequest['status'] }} [filter]
+ */
+export function getRSVPRequests(filter = {}) {
+  const { items } = readRequests();
+  return {
+    summary: { pending: items.filter((i) => i.status === 'pending').length },
+    items: items
+      .filter((i) => !filter.status || i.status === filter.status)
+      .sort((a, b) => b.requestedAt.localeCompare(a.requestedAt)),
+  };
+}
+
+/**
+ * Approve (write the answer through the RSVP queue, stamped with the time the guest asked) or reject
+ * a pending request.
+ * @param {string} id
+ * @param {boolean} approve
+ * @returns {RSVPChangeRequest}
+ */
+export function decideRSVPRequest(id, approve) {
+  const state = readRequests();
+  const request = state.items.find((i) => i.id === id);
+  if (!request) {
+    throw Object.assign(new Error('Request not found'), { status: 404 });
+  }
+  if (request.status !== 'pending') {
+    throw Object.assign(new Error(`Request was already ${request.status}`), { status: 409 });
+  }
+  request.status = approve ? 'approved' : 'rejected';
+  request.decidedAt = new Date().toISOString();
+  writeRequests(state);
+  if (approve) {
+    enqueueRSVP(request.spreadsheetId, request.response, request.requestedAt);
+  }
+  return request;
+}
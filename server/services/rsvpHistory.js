@@ -0,0 +1,73 @@
+/**
+ * "Changed their answer" report built from the RSVP history tab (see saveRSVPResponse).
+ */
+
+import { getRSVPHistory } from './storage.js';
+
+/** @typedef {import('./storage.js').RSVPRevision} RSVPRevision */
+
+function answerOf(revision) {
+  return {
+    status: revision.status,
+    numberOfGuests: revision.numberOfGuests,
+    numberOfBabies: revision.numberOfBabies,
+    numberOfVegan: revision.numberOfVegan,
+    additionalNotes: revision.additionalNotes,
+    attendees: revision.attendees,
+    answers: revision.answers,
+  };
+}
+
+/**
+ * Guests whose answer to the event changed at or after `since`, most recent change first.
+ * `from` is the answer before their first change in the window, `to` their latest answer.
+ * @param {string} spreadsheetId response sheet
+ * @param {{ since?: Date | null, eventId?: string }} [options] no date: every change ever logged; no event: the first
+ */
+export async function getChangedAnswers(spreadsheetId, options = {}) {
+  const since = options.since ? options.since.toISOString() : '';
+  const revisions = await getRSVPHistory(spreadsheetId, options.eventId);
+
+  /** @type {Map<string, RSVPRevision[]>} */
+  const byPhone = new Map();
+  for (const revision of revisions) {
+    if (!byPhone.has(revision.phone)) {
+      byPhone.set(revision.phone, []);
+    }
+    byPhone.get(revision.phone).push(revision);
+  }
+
+  const guests = [];
+  for (const [phone, list] of byPhone) {
+    const changes = list.filter((r) => r.change === 'changed' && r.timestamp >= since);
+    if (!changes.length) {
+      continue;
+    }
+    const first = changes[0];
+    const before = list[list.indexOf(first) - 1];
+    const latest = list[list.length - 1];
+    guests.push({
+      phone,
+      name: latest.name,
+      changes: changes.length,
+      lastChangedAt: changes[changes.length - 1].timestamp,
+      // The revision before the change, or (for answers given before history existed) what the row held
+      from: before
+        ? answerOf(before)
+        : { status: first.previousStatus, numberOfGuests: parseInt(first.previousGuests, 10) || 0 },
+      to: answerOf(latest),
+      revisions: list.map((r) => ({ timestamp: r.timestamp, change: r.change, ...answerOf(r) })),
+    });
+  }
+
+  guests.sort((a, b) => b.lastChangedAt.localeCompare(a.lastChangedAt));
+  return {
+    since: since || null,
+    summary: {
+      guests: guests.length,
+      switchedToNo: guests.filter((g) => g.from.status === 'Yes' && g.to.status === 'No').length,
+      switchedToYes: guests.filter((g) => g.from.status === 'No' && g.to.status === 'Yes').length,
+    },
+    guests,
+  };
+}
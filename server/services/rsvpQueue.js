@@ -0,0 +1,278 @@
+/**
+ * Durable queue for RSVP writes.
+ *
+ * POST /api/rsvp journals each accepted answer to server/data/rsvp-queue.json before replying,
+ * and a background worker flushes the journal to saveRSVPResponse. A Sheets outage (5xx, 429,
+ * permission error) therefore delays the write instead of losing the guest's answer: failed
+ * attempts are retried with exponential backoff, and items that run out of attempts stay in the
+ * journal as `failed` until an admin retries them.
+ *
+ * Environment (optional):
+ * - RSVP_QUEUE_FILE — journal path (default server/data/rsvp-queue.json).
+ * - RSVP_QUEUE_MAX_ATTEMPTS — attempts before an item is marked failed (default 10).
+ * - RSVP_QUEUE_RETRY_BASE_MS — first retry delay, doubled on each attempt (default 5000, capped at 10 minutes).
+ * - RSVP_QUEUE_POLL_MS — how often the worker looks for due items (default 5000).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import { sameEvent } from '../config/event.js';
+import { initializeResponseSheet, saveRSVPResponse } from './storage.js';
+import { toE164 } from './phone.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'rsvp-queue.json');
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+/** @typedef {import('./storage.js').RSVPResponse} RSVPResponse */
+/**
+ * @typedef {object} QueuedRSVP
+ * @property {string} id
+ * @property {string} spreadsheetId
+ * @property {RSVPResponse} response
+ * @property {string} submittedAt ISO time the guest answered (written as the response timestamp)
+ * @property {'pending' | 'failed'} status
+ * @property {number} attempts
+ * @property {string} nextAttemptAt ISO time of the next flush attempt
+ * @property {{ message: string, status?: number, code?: string | number, at: string } | null} lastError
+ */
+/** @typedef {{ items: QueuedRSVP[] }} RSVPQueueState */
+
+function queueFile() {
+  const raw = (process.env.RSVP_QUEUE_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+function positiveIntEnv(name, fallback) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/** @returns {RSVPQueueState} */
+function readQueue() {
+  const file = queueFile();
+  if (!fs.existsSync(file)) {
+    return { items: [] };
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { items: Array.isArray(parsed?.items) ? parsed.items : [] };
+  } catch (error) {
+    // Never overwrite a journal we cannot read: it may hold answers that were not written yet
+    throw Object.assign(new Error(`RSVP queue journal is unreadable (${file}): ${error.message}`), { status: 500 });
+  }
+}
+
+/**
+ * Write to a temp file and rename, so a crash mid-write never leaves a truncated journal.
+ * @param {RSVPQueueState} state
+ */
+function writeQueue(state) {
+  const file = queueFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+function retryDelayMs(attempts) {
+  const base = positiveIntEnv('RSVP_QUEUE_RETRY_BASE_MS', 5000);
+  return Math.min(base * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+/** Validation errors will fail the same way on every attempt. */
+function isRetryable(error) {
+  return error?.status !== 400;
+}
+
+/**
+ * Journal an accepted RSVP and kick the worker. Earlier unsent answers from the same phone for the
+ * same event are dropped so a stale retry can never overwrite the guest's latest answer.
+ * @param {string} spreadsheetId response sheet
+ * @param {RSVPResponse} response
+ * @param {string} [submittedAt] when the guest answered (an approved late change keeps its request time)
+ * @returns {QueuedRSVP}
+ */
+export function enqueueRSVP(spreadsheetId, response, submittedAt) {
+  const now = new Date().toISOString();
+  const phoneKey = toE164(response.phone);
+  /** @type {QueuedRSVP} */
+  const item = {
+    id: uuidv4(),
+    spreadsheetId,
+    response,
+    submittedAt: submittedAt || now,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+  };
+
+  const state = readQueue();
+  const superseded = state.items.filter(
+    (i) =>
+      i.spreadsheetId === spreadsheetId &&
+      toE164(i.response.phone) === phoneKey &&
+      sameEvent(i.response.eventId, response.eventId),
+  );
+  state.items = state.items.filter((i) => !superseded.includes(i));
+  state.items.push(item);
+  writeQueue(state);
+  if (superseded.length) {
+    console.log(`[rsvpQueue] ${phoneKey}: replaced ${superseded.length} unsent answer(s)`);
+  }
+
+  flushRSVPQueue().catch((error) => console.error('[rsvpQueue] flush failed:', error));
+  return item;
+}
+
+/** @type {Promise<{ written: number, failed: number }> | null} */
+let flushing = null;
+
+/**
+ * Write every due item, oldest first. Concurrent calls share one run.
+ */
+export function flushRSVPQueue() {
+  if (!flushing) {
+    flushing = runFlush().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+async function runFlush() {
+  let written = 0;
+  let failed = 0;
+  const initialized = new Set();
+  const attempted = new Set();
+
+  for (;;) {
+    const now = Date.now();
+    const next = readQueue().items.find(
+      (i) => i.status === 'pending' && !attempted.has(i.id) && Date.parse(i.nextAttemptAt) <= now,
+    );
+    if (!next) {
+      break;
+    }
+    attempted.add(next.id);
+
+    let error = null;
+    try {
+      // Once per response tab (see initializeResponseSheet); an unknown event fails with 400
+      const tab = `${next.spreadsheetId}\u0000${next.response.eventId || ''}`;
+      if (!initialized.has(tab)) {
+        await initializeResponseSheet(next.spreadsheetId, next.response.eventId);
+        initialized.add(tab);
+      }
+      await saveRSVPResponse(next.spreadsheetId, { ...next.response, submittedAt: next.submittedAt });
+    } catch (e) {
+      error = e;
+    }
+
+    // Re-read: the item may have been superseded or retried while the write was in flight
+    const state = readQueue();
+    const item = state.items.find((i) => i.id === next.id);
+    if (!item) {
+      continue;
+    }
+    if (!error) {
+      state.items = state.items.filter((i) => i !== item);
+      written++;
+    } else {
+      item.attempts += 1;
+      item.lastError = {
+        message: error.message || String(error),
+        ...(error.status ? { status: error.status } : {}),
+        ...(error.code ? { code: error.code } : {}),
+        at: new Date().toISOString(),
+      };
+      if (!isRetryable(error) || item.attempts >= positiveIntEnv('RSVP_QUEUE_MAX_ATTEMPTS', 10)) {
+        item.status = 'failed';
+        failed++;
+        console.error(`[rsvpQueue] giving up on ${item.id} after ${item.attempts} attempt(s): ${item.lastError.message}`);
+      } else {
+        item.nextAttemptAt = new Date(Date.now() + retryDelayMs(item.attempts)).toISOString();
+        console.warn(`[rsvpQueue] write failed for ${item.id} (attempt ${item.attempts}), retrying at ${item.nextAttemptAt}: ${item.lastError.message}`);
+      }
+    }
+    writeQueue(state);
+  }
+
+  return { written, failed };
+}
+
+/** Pending and failed items for the admin page, oldest first. */
+export function getRSVPQueue() {
+  const { items } = readQueue();
+  return {
+    summary: {
+      pending: items.filter((i) => i.status === 'pending').length,
+      failed: items.filter((i) => i.status === 'failed').length,
+    },
+    items,
+  };
+}
+
+/**
+ * The guest's answer for the event still waiting in the journal (newer than what the sheet shows), if any.
+ * @param {string} spreadsheetId
+ * @param {string} phone
+ * @param {string} [eventId] default: the first event
+ * @returns {QueuedRSVP | null}
+ */
+export function findQueuedRSVP(spreadsheetId, phone, eventId) {
+  const phoneKey = toE164(phone);
+  return (
+    readQueue().items.find(
+      (i) =>
+        i.spreadsheetId === spreadsheetId &&
+        toE164(i.response.phone) === phoneKey &&
+        sameEvent(i.response.eventId, eventId),
+    ) || null
+  );
+}
+
+/**
+ * Make failed (and waiting) items due now and flush.
+ * @param {string[]} [ids] limit to these items; all items when omitted
+ * @returns {Promise<{ retried: number, written: number, failed: number }>}
+ */
+export async function retryRSVPQueue(ids) {
+  const state = readQueue();
+  const now = new Date().toISOString();
+  let retried = 0;
+  for (const item of state.items) {
+    if (ids && !ids.includes(item.id)) {
+      continue;
+    }
+    if (item.status === 'failed') {
+      item.attempts = 0;
+    }
+    item.status = 'pending';
+    item.nextAttemptAt = now;
+    retried++;
+  }
+  writeQueue(state);
+  await flushing?.catch(() => {});
+  const result = await flushRSVPQueue();
+  return { retried, ...result };
+}
+
+/**
+ * Poll the journal in the background (also picks up items left over from before a restart).
+ * @returns {() => void} stop
+ */
+export function startRSVPQueueWorker() {
+  const timer = setInterval(() => {
+    flushRSVPQueue().catch((error) => console.error('[rsvpQueue] flush failed:', error));
+  }, positiveIntEnv('RSVP_QUEUE_POLL_MS', 5000));
+  timer.unref();
+  void flushRSVPQueue().catch((error) => console.error('[rsvpQueue] flush failed:', error));
+  return () => clearInterval(timer);
+}
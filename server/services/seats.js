@@ -0,0 +1,153 @@
+/**
+ * How many people each guest may register.
+ *
+ * The limit is, in order: an admin exception (server/data/seat-exceptions.json), the guest row's
+ * allowed-seats column, or the count read from the add-ons cell (`+N` or named members, see
+ * seatsFromAddons). It caps Number of Guests; babies (0-2) are not counted. An empty add-ons cell
+ * sets no limit.
+ *
+ * Environment (optional):
+ * - SEAT_LIMIT_MODE — `reject` (default): POST /api/rsvp answers 400 above the limit; `flag`: the
+ *   answer is accepted and listed on the admin page; `off`: no limit.
+ * - SEAT_EXCEPTIONS_FILE — exceptions path (default server/data/seat-exceptions.json).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getGuestList, getRSVPResponses } from './storage.js';
+import { toE164 } from './phone.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'seat-exceptions.json');
+
+/** @typedef {'reject' | 'flag' | 'off'} SeatLimitMode */
+/** @typedef {{ seats: number, note: string, grantedAt: string }} SeatException */
+/** @typedef {{ allowed: number | null, source: 'exception' | 'sheet' | 'addons' | null }} SeatLimit */
+
+/** @returns {SeatLimitMode} */
+export function seatLimitMode() {
+  const mode = String(process.env.SEAT_LIMIT_MODE || '').trim().toLowerCase();
+  return mode === 'flag' || mode === 'off' ? mode : 'reject';
+}
+
+function exceptionsFile() {
+  const raw = (process.env.SEAT_EXCEPTIONS_FILE || '').trim();
+  if (!raw) {
+    return DEFAULT_FILE;
+  }
+  return path.isAbsolute(raw) ? raw : path.join(__dirname, '..', '..', raw);
+}
+
+/** @returns {Record<string, SeatException>} keyed by E.164 phone */
+export function getSeatExceptions() {
+  const file = exceptionsFile();
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (error) {
+    throw Object.assign(new Error(`Seat exceptions file is unreadable (${file}): ${error.message}`), { status: 500 });
+  }
+}
+
+function writeSeatExceptions(exceptions) {
+  const file = exceptionsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(exceptions, null, 2), 'utf8');
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Let a guest register more (or fewer) people than their row allows; `seats` null removes the exception.
+ * @param {string} phone
+ * @param {number | null} seats
+ * @param {string} [note]
+ * @returns {SeatException | null}
+ */
+export function setSeatException(phone, seats, note = '') {
+  const key = toE164(phone);
+  if (!key) {
+    throw Object.assign(new Error('Phone number is not valid'), { status: 400 });
+  }
+  const exceptions = getSeatExceptions();
+  if (seats === null) {
+    delete exceptions[key];
+    writeSeatExceptions(exceptions);
+    return null;
+  }
+  if (!Number.isInteger(seats) || seats < 1 || seats > 50) {
+    throw Object.assign(new Error('seats must be a whole number between 1 and 50'), { status: 400 });
+  }
+  exceptions[key] = { seats, note: String(note || '').slice(0, 200), grantedAt: new Date().toISOString() };
+  writeSeatExceptions(exceptions);
+  return exceptions[key];
+}
+
+/**
+ * @param {{ phoneKey: string | null, allowedSeats: number | null, allowedSeatsSource: 'sheet' | 'addons' }} guest
+ * @param {Record<string, SeatException>} [exceptions] pass when checking many guests
+ * @returns {SeatLimit} allowed null when off or unknown
+ */
+export function seatLimitFor(guest, exceptions = getSeatExceptions()) {
+  if (seatLimitMode() === 'off') {
+    return { allowed: null, source: null };
+  }
+  const exception = guest.phoneKey ? exceptions[guest.phoneKey] : undefined;
+  if (exception) {
+    return { allowed: exception.seats, source: 'exception' };
+  }
+  if (guest.allowedSeats) {
+    return { allowed: guest.allowedSeats, source: guest.allowedSeatsSource };
+  }
+  return { allowed: null, source: null };
+}
+
+/**
+ * Whether POST /api/rsvp refuses a headcount above this limit (reject mode).
+ * @param {SeatLimit} limit
+ */
+export function seatLimitRejects(limit) {
+  return seatLimitMode() === 'reject' && limit.allowed !== null;
+}
+
+/**
+ * "Yes" answers to the event above the guest's limit (accepted in flag mode, or given before the limit existed).
+ * @param {string} responseSheetId
+ * @param {string} guestSheetId
+ * @param {string} [eventId] default: the first event
+ */
+export async function findOverLimitAnswers(responseSheetId, guestSheetId, eventId) {
+  const [responses, guests] = await Promise.all([getRSVPResponses(responseSheetId, eventId), getGuestList(guestSheetId)]);
+  const exceptions = getSeatExceptions();
+  const byPhone = new Map();
+  for (const guest of guests) {
+    if (guest.phoneKey && !byPhone.has(guest.phoneKey)) {
+      byPhone.set(guest.phoneKey, guest);
+    }
+  }
+
+  const over = [];
+  for (const response of responses) {
+    const guest = byPhone.get(response.phone);
+    if (response.status !== 'Yes' || !guest) {
+      continue;
+    }
+    const limit = seatLimitFor(guest, exceptions);
+    if (limit.allowed !== null && response.numberOfGuests > limit.allowed) {
+      over.push({
+        name: response.name,
+        phone: response.phone,
+        sender: guest.sender,
+        numberOfGuests: response.numberOfGuests,
+        allowedSeats: limit.allowed,
+        source: limit.source,
+        timestamp: response.timestamp,
+      });
+    }
+  }
+  return over;
+}
@@ -0,0 +1,29 @@
+/**
+ * A1-notation helpers shared by the guest column map and the Sheets backend.
+ */
+
+/** "A" → 0, "N" → 13, "AA" → 26 */
+export function columnIndex(letters) {
+  let n = 0;
+  for (const ch of String(letters).toUpperCase()) {
+    n = n * 26 + (ch.charCodeAt(0) - 64);
+  }
+  return n - 1;
+}
+
+/** 0 → "A", 13 → "N" */
+export function columnLetter(index) {
+  let n = index + 1;
+  let s = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+/** True for a bare column reference such as "N" or "AB". */
+export function isColumnLetter(value) {
+  return /^[A-Za-z]{1,3}$/.test(String(value || '').trim());
+}
@@ -0,0 +1,202 @@
+/**
+ * Retry wrapper for the Sheets client.
+ *
+ * configureSheets wraps the Google client it builds, so every
+ * `sheets.spreadsheets.*` call in googleSheets.js gets the same policy:
+ * - reads and fixed-range RAW writes (values.get / update / batchUpdate, spreadsheets.get) are
+ *   idempotent and retried on rate limits, 5xx and dropped connections;
+ * - values.append and spreadsheets.batchUpdate are retried only when the request provably never
+ *   ran (429 / quota errors, connection refused, DNS failure), so a retry cannot add a row twice.
+ * Delays use full-jitter exponential backoff and honour Retry-After; a Retry-After longer than
+ * the maximum delay fails fast instead of holding the HTTP request open (the RSVP queue retries later).
+ *
+ * Environment (optional):
+ * - SHEETS_RETRY_MAX_ATTEMPTS — attempts per call, including the first (default 4).
+ * - SHEETS_RETRY_BASE_MS — backoff base (default 500).
+ * - SHEETS_RETRY_MAX_DELAY_MS — longest single wait (default 15000).
+ */
+
+/** @typedef {'rate_limit' | 'server' | 'network' | 'unreachable' | 'permission' | 'not_found' | 'invalid' | 'unknown'} SheetsErrorKind */
+
+/** Network errors where the request may have reached Google. */
+const NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'ECONNABORTED']);
+/** Network errors raised before anything was sent. */
+const UNREACHABLE_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN']);
+const RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'quotaExceeded', 'RATE_LIMIT_EXCEEDED']);
+
+function intEnv(name, fallback, min) {
+  const n = parseInt(process.env[name] || '', 10);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+}
+
+function httpStatus(error) {
+  const status = error?.response?.status ?? error?.status ?? (typeof error?.code === 'number' ? error.code : undefined);
+  return Number.isInteger(status) ? status : undefined;
+}
+
+function errorReasons(error) {
+  const errors = error?.response?.data?.error?.errors || error?.errors || [];
+  const details = error?.response?.data?.error?.details || [];
+  return [...errors.map((e) => e?.reason), ...details.map((d) => d?.reason)].filter(Boolean);
+}
+
+/**
+ * @param {unknown} error
+ * @returns {{ kind: SheetsErrorKind, status?: number }}
+ */
+export function classifySheetsError(error) {
+  const status = httpStatus(error);
+  const code = typeof error?.code === 'string' ? error.code : undefined;
+  if (status === 429 || errorReasons(error).some((r) => RATE_LIMIT_REASONS.has(r))) {
+    return { kind: 'rate_limit', status };
+  }
+  if (status && status >= 500) {
+    return { kind: 'server', status };
+  }
+  if (status === 401 || status === 403) {
+    return { kind: 'permission', status };
+  }
+  if (status === 404) {
+    return { kind: 'not_found', status };
+  }
+  if (status && status >= 400) {
+    return { kind: 'invalid', status };
+  }
+  if (code && UNREACHABLE_CODES.has(code)) {
+    return { kind: 'unreachable' };
+  }
+  if (code && NETWORK_CODES.has(code)) {
+    return { kind: 'network' };
+  }
+  return { kind: 'unknown', status };
+}
+
+/** Milliseconds from a Retry-After header (delta-seconds or HTTP date), or null. */
+function retryAfterMs(error) {
+  const headers = error?.response?.headers;
+  const raw = typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after'];
+  if (raw === undefined || raw === null || raw === '') {
+    return null;
+  }
+  const seconds = Number(raw);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(String(raw));
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+function isRetryable(kind, idempotent) {
+  if (kind === 'rate_limit' || kind === 'unreachable') {
+    return true;
+  }
+  return idempotent && (kind === 'server' || kind === 'network');
+}
+
+/** @type {{ calls: number, retries: number, failures: number, giveUps: number, byKind: Record<string, number>, byMethod: Record<string, { calls: number, retries: number, failures: number }>, lastError: object | null, since: string }} */
+const stats = {
+  calls: 0,
+  retries: 0,
+  failures: 0,
+  giveUps: 0,
+  byKind: {},
+  byMethod: {},
+  lastError: null,
+  since: new Date().toISOString(),
+};
+
+/** Counters since startup: calls, retries, failed calls (by error kind and by method). */
+export function getSheetsStats() {
+  return JSON.parse(JSON.stringify(stats));
+}
+
+function methodStats(method) {
+  if (!stats.byMethod[method]) {
+    stats.byMethod[method] = { calls: 0, retries: 0, failures: 0 };
+  }
+  return stats.byMethod[method];
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {string} method label for logs and counters, e.g. "values.get"
+ * @param {(params: object) => Promise<any>} fn
+ * @param {boolean} idempotent
+ */
+function retrying(method, fn, idempotent) {
+  return async (params) => {
+    const maxAttempts = intEnv('SHEETS_RETRY_MAX_ATTEMPTS', 4, 1);
+    const baseMs = intEnv('SHEETS_RETRY_BASE_MS', 500, 0);
+    const maxDelayMs = intEnv('SHEETS_RETRY_MAX_DELAY_MS', 15000, 0);
+    const m = methodStats(method);
+    stats.calls++;
+    m.calls++;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await fn(params);
+      } catch (error) {
+        const { kind, status } = classifySheetsError(error);
+        const retryAfter = retryAfterMs(error);
+        const backoff = Math.random() * Math.min(maxDelayMs, baseMs * 2 ** (attempt - 1));
+        const delay = Math.max(backoff, retryAfter ?? 0);
+        const retry = isRetryable(kind, idempotent) && attempt < maxAttempts && delay <= maxDelayMs;
+
+        if (!retry) {
+          stats.failures++;
+          m.failures++;
+          stats.byKind[kind] = (stats.byKind[kind] || 0) + 1;
+          if (isRetryable(kind, idempotent)) {
+            stats.giveUps++;
+          }
+          stats.lastError = {
+            at: new Date().toISOString(),
+            method,
+            kind,
+            ...(status ? { status } : {}),
+            attempts: attempt,
+            message: error?.message || String(error),
+          };
+          if (error && typeof error === 'object') {
+            error.sheetsErrorKind = kind;
+          }
+          throw error;
+        }
+
+        stats.retries++;
+        m.retries++;
+        console.warn(
+          `[sheets] ${method} failed (${kind}${status ? ` ${status}` : ''}), retry ${attempt}/${maxAttempts - 1} in ${Math.round(delay)}ms`,
+        );
+        await sleep(delay);
+      }
+    }
+  };
+}
+
+/**
+ * Wrap the spreadsheets / spreadsheets.values methods googleSheets.js uses.
+ * @template T
+ * @param {T} client google.sheets() client or the local stand-in
+ * @returns {T}
+ */
+export function withSheetsRetry(client) {
+  const book = client.spreadsheets;
+  const values = book.values;
+  const wrap = (target, name, label, idempotent) =>
+    typeof target[name] === 'function' ? { [name]: retrying(label, target[name].bind(target), idempotent) } : {};
+
+  return {
+    spreadsheets: {
+      ...wrap(book, 'get', 'spreadsheets.get', true),
+      ...wrap(book, 'batchUpdate', 'spreadsheets.batchUpdate', false),
+      values: {
+        ...wrap(values, 'get', 'values.get', true),
+        ...wrap(values, 'update', 'values.update', true),
+        ...wrap(values, 'batchUpdate', 'values.batchUpdate', true),
+        ...wrap(values, 'append', 'values.append', false),
+      },
+    },
+  };
+}
@@ -0,0 +1,297 @@
+/**
+ * Where guests and RSVP answers are kept.
+ *
+ * Routes, services and scripts call the functions here; STORAGE_BACKEND picks the backend behind
+ * them:
+ * - `sheets` (default) — Google Sheets (googleSheets.js); needs a service account.
+ * - `local` — one JSON file (localStore.js), for demos and development without Google.
+ *
+ * Both keep the guest list as a table with a header row (see guestRows.js), so the column map and
+ * the import and validation tools work the same on either. Spreadsheet ids are passed through as
+ * given; the local backend ignores them.
+ */
+
+import { envStorageBackend } from '../config/loadEnv.js';
+import { GUEST_COLUMN_FIELDS, describeGuestColumns, guestSheetTab, resolveGuestColumns } from '../config/guestColumns.js';
+import * as sheetsBackend from './googleSheets.js';
+import { eventGuestColumns } from './guestRows.js';
+import * as localBackend from './localStore.js';
+import { toE164 } from './phone.js';
+import { columnLetter } from './sheetNotation.js';
+
+/**
+ * @typedef {object} RSVPResponse
+ * @property {string} [eventId] see config/event.js; answers without one belong to the first event
+ * @property {string} name
+ * @property {string} phone
+ * @property {boolean} isAttending
+ * @property {number} numberOfGuests
+ * @property {number} [numberOfBabies]
+ * @property {number} [numberOfVegan] answers queued before the question schema; the `vegan` answer replaces it
+ * @property {string} [additionalNotes]
+ * @property {string[]} [attendees] party members who are coming (empty when the guest typed a headcount)
+ * @property {import('./rsvpAnswers.js').RSVPAnswers} [answers] configured questions (see config/rsvpQuestions.js)
+ * @property {string} [submittedAt] ISO time the guest answered; defaults to now
+ */
+
+/**
+ * @typedef {object} RSVPRow
+ * @property {number} rowNumber 1-based row on its tab (local: position in the list)
+ * @property {string} timestamp
+ * @property {string} name
+ * @property {string} phone E.164 (or the cell as written when it is not a valid number)
+ * @property {string} status "Yes" / "No"
+ * @property {number} numberOfGuests
+ * @property {number} numberOfBabies
+ * @property {number} numberOfVegan
+ * @property {string} additionalNotes
+ * @property {string} attendees
+ * @property {import('./rsvpAnswers.js').RSVPAnswers} answers configured questions that have a column on the tab
+ */
+
+/**
+ * @typedef {RSVPRow & {
+ *   change: 'new' | 'changed' | 'unchanged' | '',
+ *   previousStatus: string,
+ *   previousGuests: string,
+ * }} RSVPRevision row on the history tab
+ */
+
+/**
+ * What each backend provides. Guests are the objects mapDataRowsToGuests builds (see guestRows.js).
+ * @typedef {object} StorageBackend
+ * @property {() => Promise<void>} configure connect (Sheets) or open the file (local)
+ * @property {(guestSheetId: string, options?: { fresh?: boolean }) => Promise<{ rows: string[][], guests: object[] }>} getGuestSheetRows
+ *   the raw table and every mapped row, including rows without a name or phone
+ * @property {(guestSheetId: string) => Promise<object[]>} getGuestList guests with a name and a phone
+ * @property {(guestSheetId: string, phone: string) => Promise<object | null>} getGuestByPhone 409 AMBIGUOUS_PHONE when shared
+ * @property {(guestSheetId: string) => Promise<string[]>} getSenders
+ * @property {(guestSheetId: string, phone: string, shouldSend?: boolean) => Promise<{ success: true, rowNumber: number }>} updateSendConfirmation
+ * @property {(guestSheetId: string, updates: Array<{ phone: string, shouldSend: boolean }>) => Promise<{ updated: number, failed: number, results: object[] }>} updateSendConfirmations
+ * @property {(guestSheetId: string, newGuests: object[]) => Promise<{ appended: number, updatedRange: string | null }>} appendGuestRows
+ * @property {(guestSheetId?: string) => void} invalidateGuestCache
+ * @property {(responseSheetId: string, response: RSVPResponse) => Promise<{ success: true, change: 'new' | 'changed' | 'unchanged' }>} saveRSVPResponse
+ *   latest answer per guest and event, every submission logged to the history, and the first
+ *   event's answer copied onto the guest row when it has RSVP columns
+ * @property {(responseSheetId: string, eventId?: string) => Promise<RSVPRow[]>} getRSVPResponses
+ * @property {(responseSheetId: string, eventId?: string) => Promise<RSVPRevision[]>} getRSVPHistory oldest first
+ * @property {(responseSheetId: string, eventId?: string) => Promise<void>} initializeResponseSheet
+ */
+
+/** @type {Record<'sheets' | 'local', StorageBackend>} */
+const BACKENDS = {
+  // Wrapped where the Sheets function takes an optional range after these arguments
+  sheets: {
+    configure: sheetsBackend.configureSheets,
+    getGuestSheetRows: (id, options) => sheetsBackend.getGuestSheetRows(id, options),
+    getGuestList: (id) => sheetsBackend.getGuestList(id),
+    getGuestByPhone: (id, phone) => sheetsBackend.getGuestByPhone(id, phone),
+    getSenders: (id) => sheetsBackend.getSenders(id),
+    updateSendConfirmation: (id, phone, shouldSend) => sheetsBackend.updateSendConfirmation(id, phone, shouldSend),
+    updateSendConfirmations: (id, updates) => sheetsBackend.updateSendConfirmations(id, updates),
+    appendGuestRows: (id, newGuests) => sheetsBackend.appendGuestRows(id, newGuests),
+    invalidateGuestCache: sheetsBackend.invalidateGuestCache,
+    saveRSVPResponse: sheetsBackend.saveRSVPResponse,
+    getRSVPResponses: sheetsBackend.getRSVPResponses,
+    getRSVPHistory: sheetsBackend.getRSVPHistory,
+    initializeResponseSheet: sheetsBackend.initializeResponseSheet,
+  },
+  local: {
+    configure: localBackend.configureLocalStore,
+    getGuestSheetRows: localBackend.getGuestSheetRows,
+    getGuestList: localBackend.getGuestList,
+    getGuestByPhone: localBackend.getGuestByPhone,
+    getSenders: localBackend.getSenders,
+    updateSendConfirmation: localBackend.updateSendConfirmation,
+    updateSendConfirmations: localBackend.updateSendConfirmations,
+    appendGuestRows: localBackend.appendGuestRows,
+    invalidateGuestCache: () => {},
+    saveRSVPResponse: localBackend.saveRSVPResponse,
+    getRSVPResponses: localBackend.getRSVPResponses,
+    getRSVPHistory: localBackend.getRSVPHistory,
+    initializeResponseSheet: localBackend.initializeResponseSheet,
+  },
+};
+
+/** @returns {StorageBackend} */
+function backend() {
+  return BACKENDS[envStorageBackend()];
+}
+
+/** Connect to Google Sheets, or open the local file, per STORAGE_BACKEND. */
+export function configureStorage() {
+  return backend().configure();
+}
+
+/**
+ * Raw guest rows plus every mapped row (including rows without a name or phone),
+ * for tooling that needs to see what getGuestList filters out.
+ * @param {string} guestSheetId
+ * @param {{ fresh?: boolean }} [options] fresh: skip the guest cache
+ */
+export function getGuestSheetRows(guestSheetId, options = {}) {
+  return backend().getGuestSheetRows(guestSheetId, options);
+}
+
+/**
+ * Guests with a name and a phone, columns per server/config/guestColumns.js.
+ * @param {string} guestSheetId
+ */
+export function getGuestList(guestSheetId) {
+  return backend().getGuestList(guestSheetId);
+}
+
+/**
+ * Guest by phone number (exact E.164 match; partial numbers match nobody).
+ * @throws 409 AMBIGUOUS_PHONE when two listed guests share the number
+ */
+export function getGuestByPhone(guestSheetId, phone) {
+  return backend().getGuestByPhone(guestSheetId, phone);
+}
+
+/** Unique senders from the sender column, in list order. */
+export function getSenders(guestSheetId) {
+  return backend().getSenders(guestSheetId);
+}
+
+/**
+ * Set or clear one guest's send flag.
+ * @throws when the phone matches no row (409 AMBIGUOUS_PHONE when it matches several)
+ */
+export function updateSendConfirmation(guestSheetId, phone, shouldSend = false) {
+  return backend().updateSendConfirmation(guestSheetId, phone, shouldSend);
+}
+
+/**
+ * Set the send flag for many guests in one write. Unknown phones do not abort the batch; each
+ * update gets its own result.
+ * @param {string} guestSheetId
+ * @param {Array<{ phone: string, shouldSend: boolean }>} updates
+ */
+export function updateSendConfirmations(guestSheetId, updates) {
+  return backend().updateSendConfirmations(guestSheetId, updates);
+}
+
+/**
+ * Append new guests, each value in its mapped column (import tool).
+ * @param {string} guestSheetId
+ * @param {{ firstName: string, familyName?: string, phone: string, addons?: string, sender: string, sendFlag?: boolean }[]} newGuests
+ * @throws 400 when the guest list has no phone column
+ */
+export function appendGuestRows(guestSheetId, newGuests) {
+  return backend().appendGuestRows(guestSheetId, newGuests);
+}
+
+/**
+ * Drop cached guest rows (all spreadsheets when no id is given).
+ * @param {string} [guestSheetId]
+ */
+export function invalidateGuestCache(guestSheetId) {
+  backend().invalidateGuestCache(guestSheetId);
+}
+
+/**
+ * Save a guest's answer to an event (see StorageBackend.saveRSVPResponse).
+ * @param {string} responseSheetId
+ * @param {RSVPResponse} response
+ * @returns {Promise<{ success: true, change: 'new' | 'changed' | 'unchanged' }>}
+ */
+export function saveRSVPResponse(responseSheetId, response) {
+  return backend().saveRSVPResponse(responseSheetId, response);
+}
+
+/**
+ * Latest answer per guest to the event, in list order (empty when nobody answered yet).
+ * @param {string} responseSheetId
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<RSVPRow[]>}
+ */
+export function getRSVPResponses(responseSheetId, eventId) {
+  return backend().getRSVPResponses(responseSheetId, eventId);
+}
+
+/**
+ * The guest's latest answer to the event (the last one if the number appears twice), or null.
+ * @param {string} responseSheetId
+ * @param {string} phone any format toE164 accepts
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<RSVPRow | null>}
+ */
+export async function getRSVPResponseByPhone(responseSheetId, phone, eventId) {
+  const key = toE164(phone);
+  if (!key) {
+    return null;
+  }
+  const rows = await getRSVPResponses(responseSheetId, eventId);
+  return rows.filter((r) => r.phone === key).pop() || null;
+}
+
+/**
+ * Every logged submission to the event, oldest first (empty when there is none yet).
+ * @param {string} responseSheetId
+ * @param {string} [eventId] default: the first event
+ * @returns {Promise<RSVPRevision[]>}
+ */
+export function getRSVPHistory(responseSheetId, eventId) {
+  return backend().getRSVPHistory(responseSheetId, eventId);
+}
+
+/**
+ * Prepare the event's response and history storage (tabs and headers on Sheets).
+ * @param {string} responseSheetId
+ * @param {string} [eventId] default: the first event
+ */
+export function initializeResponseSheet(responseSheetId, eventId) {
+  return backend().initializeResponseSheet(responseSheetId, eventId);
+}
+
+function guestListName() {
+  return envStorageBackend() === 'local' ? 'local guest list' : `"${guestSheetTab()}"`;
+}
+
+/**
+ * Startup check: log where each guest field was found and which expected columns are missing.
+ * Never throws — a sheet problem should not keep the server from starting.
+ * @returns {Promise<{ missing: string[], assumed: string[] } | null>}
+ */
+export async function checkGuestSheetColumns(guestSheetId) {
+  if (!guestSheetId) {
+    return null;
+  }
+  try {
+    const { rows } = await getGuestSheetRows(guestSheetId, { fresh: true });
+    const headerRow = rows[0] || [];
+    const map = resolveGuestColumns(headerRow);
+    const assumed = Object.entries(map.fields)
+      .filter(([field, col]) => GUEST_COLUMN_FIELDS[field].required && col.source === 'default')
+      .map(([field]) => field);
+    const missingExtras = Object.entries(map.extras)
+      .filter(([, col]) => col.index === null)
+      .map(([key]) => key);
+    const eventColumns = eventGuestColumns(headerRow).filter(({ index }) => index !== undefined);
+    const missingEvents = eventColumns.filter(({ index }) => index === null).map(({ event }) => `${event.id} guests`);
+    const missing = [...map.missing, ...missingExtras, ...missingEvents];
+
+    const lines = [
+      ...describeGuestColumns(map, headerRow),
+      ...eventColumns.map(({ event, index }) =>
+        index === null
+          ? `${event.id} guests: MISSING (no "${event.guestColumn}" column, so nobody is invited)`
+          : `${event.id} guests: column ${columnLetter(index)} (rows marked "v")`,
+      ),
+    ].map((l) => `  ${l}`).join('\n');
+    if (missing.length || assumed.length) {
+      const problems = [
+        missing.length ? `missing: ${missing.join(', ')}` : '',
+        assumed.length ? `no matching header (using default position): ${assumed.join(', ')}` : '',
+      ].filter(Boolean).join('; ');
+      console.warn(`[guest sheet] ${guestListName()} columns — ${problems}\n${lines}`);
+    } else {
+      console.log(`[guest sheet] ${guestListName()} columns OK\n${lines}`);
+    }
+    return { missing, assumed };
+  } catch (error) {
+    console.warn(`[guest sheet] could not check columns of ${guestListName()}: ${error.message}`);
+    return null;
+  }
+}
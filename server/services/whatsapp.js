@@ -4,8 +4,11 @@
  * Environment (optional):
  * - WHATSAPP_SEND_DELAY_MS — pause after each successful send (default 600). Lower = faster, higher ban risk.
  * - WHATSAPP_WARM_SENDERS — comma-separated sender names to connect at server boot (optional).
- * - WHATSAPP_INVITE_IMAGE_PATH — optional absolute path to a JPEG/PNG sent with the invite text as caption.
- *   If unset, looks for `wedding.png` in the project root (not cwd). If the file is missing, sends text only.
+ * - WHATSAPP_INVITE_IMAGE_PATH — optional absolute path to a JPEG/PNG sent with the invite text as caption,
+ *   for events without their own `image` (see config/event.js). If unset, looks for `wedding.jpg` in the
+ *   project root (not cwd). If the file is missing, sends text only.
+ * - RSVP_BASE_URL — when set, each invite ends with the guest's personal RSVP link (see inviteTokens.js).
+ * - DEFAULT_LOCALE — invitation language for guests without one (see locales.js).
  *
  * Auth data per sender: `.baileys_auth_<urlencoded_sender>/` under server/ (see authDirForSender).
  * Unofficial clients may violate WhatsApp ToS; use at your own risk.
@@ -18,6 +21,12 @@ import makeWASocket, { DisconnectReason, fetchLatestWaWebVersion, useMultiFileAu
 import { Boom } from '@hapi/boom';
 import pino from 'pino';
 import QRCode from 'qrcode';
+import { inviteLink } from './inviteTokens.js';
+import { toE164 } from './phone.js';
+import { findEvent, getEventConfig } from '../config/event.js';
+import { INVITATION_TEMPLATES } from '../config/invitationTemplates.js';
+import { defaultLocale, localized, normalizeLocale } from '../config/locales.js';
+import { normalizeAddonsCell, parseAddons } from './party.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -61,8 +70,14 @@ function getSendDelayMs() {
   return Number.isFinite(n) && n >= 0 ? n : 600;
 }
 
-/** Resolved path to optional invite image (JPEG/PNG). */
-function resolveInviteImagePath() {
+/**
+ * Resolved path to the optional invite image (JPEG/PNG).
+ * @param {import('../config/event.js').WeddingEventConfig} event its `image` wins over the environment
+ */
+function resolveInviteImagePath(event) {
+  if (event.image) {
+    return event.image;
+  }
   const raw = (process.env.WHATSAPP_INVITE_IMAGE_PATH || DEFAULT_INVITE_IMAGE_NAME).trim();
   if (!raw) {
     return path.join(repoRoot, DEFAULT_INVITE_IMAGE_NAME);
@@ -70,8 +85,8 @@ function resolveInviteImagePath() {
   return path.isAbsolute(raw) ? raw : path.join(repoRoot, raw);
 }
 
-function readInviteImageBuffer() {
-  const imagePath = resolveInviteImagePath();
+function readInviteImageBuffer(event) {
+  const imagePath = resolveInviteImagePath(event);
   if (!fs.existsSync(imagePath)) {
     return null;
   }
@@ -83,19 +98,15 @@ function readInviteImageBuffer() {
 }
 
 /**
- * Format phone for WhatsApp JID (digits only, country code).
+ * Format phone for WhatsApp JID (digits only, country code) from the canonical E.164 key.
+ * Numbers that are not complete E.164 fall back to their raw digits (the send then fails visibly).
  */
 export function formatPhoneNumber(phone) {
-  let cleaned = String(phone || '').replace(/[^\d+]/g, '');
-  if (cleaned.startsWith('0')) {
-    cleaned = '972' + cleaned.substring(1);
-  } else if (cleaned.startsWith('+972')) {
-    cleaned = cleaned.substring(1);
-  } else if (!cleaned.startsWith('972') && /^\d{9}$/.test(cleaned)) {
-    cleaned = '972' + cleaned;
+  const e164 = toE164(phone);
+  if (e164) {
+    return e164.slice(1);
   }
-  cleaned = cleaned.replace(/^\+/, '');
-  return cleaned;
+  return String(phone || '').replace(/\D/g, '');
 }
 
 /**
@@ -280,63 +291,43 @@ export async function destroySession(senderName) {
 }
 
 /**
- * Normalize add-ons cell text (strip bidi marks Google Sheets sometimes inserts).
+ * Invitation text for the event in the guest's language (see config/invitationTemplates.js).
+ * @param {import('../config/event.js').WeddingEventConfig} event
+ * @param {import('../config/locales.js').Locale} locale
+ * @param {string} name guest first name
+ * @param {string} [addons] add-ons cell
+ * @param {string | null} link the guest's personal RSVP link (see inviteLink), appended when set
  */
-function normalizeAddonsCell(addonsStr) {
-  return String(addonsStr || '')
-    .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069]/g, '')
-    .trim();
-}
-
-/**
- * Sheet shapes:
- * - One add-on: "מתן" → שלום {name} ומתן
- * - Two in one cell: "עמרי ומתן" (space before conjunctive ו) → שלום {name}, עמרי ומתן
- * - Several with commas: "יובל, עמרי ומתן" / "דניאל, יובל, עמרי ומתן" → שלום {name}, <full cell>
- */
-function openingLineWithAddons(name, addonsRaw) {
-  const s = normalizeAddonsCell(addonsRaw);
-  if (!s) {
-    return `שלום ${name},`;
-  }
-  const hasComma = /,/.test(s);
-  // Conjunctive ו: whitespace before it, then the next name (with or without space after ו).
-  // Not ו inside a word (e.g. "יובל" has no space before ו).
-  const hasConjunctiveVav = /[\s\u00A0\u2009\u202F]+\u05D5\s*\S/.test(s);
-  if (hasComma || hasConjunctiveVav) {
-    return `שלום ${name}, ${s}`;
-  }
-  return `שלום ${name} ו${s}`;
-}
-
-function composeMessageText(name, addons) {
-  const opener = openingLineWithAddons(name, addons);
-  return `${opener}
-מתרגשים להזמינכם לחתונה של דניאל אביטל ויובל פינצ׳וק!
-שריינו את התאריך- פרטים נוספים יישלחו בהמשך
-מחכים לחגוג איתכם❤️`;
+function composeMessageText(event, locale, name, addons, link) {
+  const template = INVITATION_TEMPLATES[locale] || INVITATION_TEMPLATES[defaultLocale()];
+  const cell = normalizeAddonsCell(addons);
+  const body = template.bodies[event.template](localized(getEventConfig().couple, locale));
+  const text = `${template.greeting(name || template.fallbackName, parseAddons(cell), cell)}\n${body}`;
+  return link ? `${text}\n\n${template.rsvpLine(link)}` : text;
 }
 
 /**
- * @param {{ to: string, senderName: string, name: string, addons?: string }} payload
+ * @param {{ to: string, senderName: string, name: string, addons?: string, language?: string | null, eventId?: string }} payload
+ *   language: the guest's locale; DEFAULT_LOCALE when unset. eventId: which invitation to send (default: the first event)
  */
 export async function sendWhatsAppInvitation(payload) {
-  const { to, senderName, name, addons } = payload;
+  const { to, senderName, name, addons, language, eventId } = payload;
   if (!to || !senderName) {
     return { success: false, error: 'Missing to or senderName', to: to || '' };
   }
 
   const digits = formatPhoneNumber(to);
   const jid = `${digits}@s.whatsapp.net`;
-  const text = composeMessageText(name || 'אורח', addons);
 
   try {
+    const event = findEvent(eventId);
+    const text = composeMessageText(event, normalizeLocale(language) || defaultLocale(), name, addons, inviteLink(to, eventId));
     const sock = await waitForReady(senderName, null);
     if (!sock || !sock.user) {
       return { success: false, error: 'WhatsApp not connected', to: digits };
     }
 
-    const imageBuf = readInviteImageBuffer();
+    const imageBuf = readInviteImageBuffer(event);
     if (imageBuf) {
       await sock.sendMessage(jid, { image: imageBuf, caption: text });
     } else {